@@ -7,6 +7,8 @@
  * 1. Defines the Stremio Addon builder and interface definition.
  * 2. Sets up the Express server to serve the API and the Web Configuration Dashboard.
  * 3. Mounts the `routes` for the frontend API.
+ *    Addon and API routes are also mounted under `/:token` to serve per-user profiles;
+ *    profile management (`profileRoutes`) is only mounted at the root.
  * 4. Starts the HTTP server.
  */
 import 'dotenv/config';
@@ -15,13 +17,16 @@ import express from 'express';
 import cors from 'cors';
 import { manifest } from './manifest';
 import { CatalogService } from './services/CatalogService';
+import { plexService } from './services/PlexService';
+import { HeaderPosterService } from './services/HeaderPosterService';
+import { ConfigStore } from './store/ConfigStore';
 
 const app = express();
 app.use(cors());
 import path from 'path';
 // Serve frontend from 'web' directory relative to current file location (dist or src)
 app.use('/web-config', express.static(path.join(__dirname, 'web')));
-app.use(express.json());
+app.use(express.json({ limit: '5mb' })); // Custom list imports can be large
 
 const builder = new addonBuilder(manifest);
 
@@ -31,17 +36,32 @@ const builder = new addonBuilder(manifest);
  */
 builder.defineCatalogHandler(async (args: any) => {
     console.log('Catalog Request:', args);
-    const catalogItems = await CatalogService.getItems(args.id);
+    const catalogItems = await CatalogService.getItems(args.id, {
+        skip: parseInt(args.extra?.skip, 10) || 0,
+        genre: args.extra?.genre,
+        search: args.extra?.search
+    }, `http://localhost:${PORT}`);
     return { metas: catalogItems };
 });
 
+/**
+ * Handles meta requests from Stremio for header items, Plex-only items and items with a `tmdb:` / `tvdb:` fallback id.
+ */
+builder.defineMetaHandler(async (args: any) => {
+    const meta = await CatalogService.getMeta(args.id, `http://localhost:${PORT}`);
+    return { meta };
+});
+
 const addonInterface = builder.getInterface();
 
+// Stremio addon routes. Mounted at the root for the default profile and under `/:token` for user profiles.
+const addonRouter = express.Router();
+
 /**
  * GET /manifest.json
  * Returns the dynamic manifest including all configured catalog slots.
  */
-app.get('/manifest.json', (req, res) => {
+addonRouter.get('/manifest.json', (req, res) => {
     const dynamicManifest = CatalogService.getManifest();
     res.json(dynamicManifest);
 });
@@ -51,28 +71,119 @@ app.get('/manifest.json', (req, res) => {
  * Returns the catalog items for a given type and ID.
  * This is the standard Stremio catalog endpoint.
  */
-app.get('/catalog/:type/:id.json', async (req, res) => {
+addonRouter.get('/catalog/:type/:id.json', async (req, res) => {
     const { type, id } = req.params;
-    const items = await CatalogService.getItems(id);
+    const items = await CatalogService.getItems(id, {}, `${req.protocol}://${req.get('host')}`);
     res.json({ metas: items });
 });
 
+/**
+ * Parses the Stremio `extra` path segment (e.g. `skip=100&genre=Action`) into key/value pairs.
+ * @param extra The raw extra segment without the `.json` suffix.
+ * @returns The parsed extra parameters.
+ */
+function parseExtra(extra: string): Record<string, string> {
+    return Object.fromEntries(new URLSearchParams(extra));
+}
+
 /**
  * GET /catalog/:type/:id/:extra.json
- * Handles catalog requests with extra parameters (like skip/genre).
- * Currently directs to the same content as the base catalog endpoint.
+ * Handles catalog requests with extra parameters.
+ * `skip` pages through the active list, fetching further upstream pages on demand.
+ * `genre` serves one list from the slot's pool without changing the rotation.
+ * `search` matches titles across every list in the slot's pool.
  */
-app.get('/catalog/:type/:id/:extra.json', async (req, res) => {
-    // Handle extra (skip, search, etc) if needed
-    const { type, id } = req.params;
-    const items = await CatalogService.getItems(id);
+addonRouter.get('/catalog/:type/:id/:extra.json', async (req, res) => {
+    const { type, id, extra } = req.params;
+    const { skip, genre, search } = parseExtra(extra);
+    const items = await CatalogService.getItems(id, { skip: parseInt(skip, 10) || 0, genre, search }, `${req.protocol}://${req.get('host')}`);
     res.json({ metas: items });
 });
 
+/**
+ * GET /meta/:type/:id.json
+ * Returns the detail page for header items and Plex items without an IMDB id.
+ */
+addonRouter.get('/meta/:type/:id.json', async (req, res) => {
+    const { id } = req.params;
+    const meta = await CatalogService.getMeta(id, `${req.protocol}://${req.get('host')}`);
+    if (!meta) {
+        res.status(404).json({ meta: null });
+        return;
+    }
+    res.json({ meta });
+});
+
+/**
+ * GET /header/:slotId.svg
+ * Renders a slot's header poster (list name, source logo and item count) in the slot's theme.
+ * Theme fields in the query string (`background`, `accent`, `text`, `icon`, `font`) override the saved theme for previews.
+ */
+addonRouter.get('/header/:slotId.svg', (req, res) => {
+    const slot = ConfigStore.getSlots().find(s => s.id === req.params.slotId);
+    const query = req.query as Record<string, string>;
+    const theme = { ...slot?.headerTheme, ...HeaderPosterService.sanitizeTheme(query) };
+    const svg = HeaderPosterService.render({
+        name: query.name || slot?.currentSelection?.name || slot?.alias || 'Shufflist',
+        source: query.source,
+        count: query.count
+    }, theme);
+    res.set('Content-Type', 'image/svg+xml');
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.send(svg);
+});
+
+/**
+ * GET /plex/art/:itemKey/:kind.jpg
+ * Proxies Plex artwork (poster or background) so the Plex token is never exposed to clients.
+ * The item key is the rating key, prefixed with the server id for servers added in the profile's settings.
+ */
+addonRouter.get('/plex/art/:itemKey/:kind.jpg', async (req, res) => {
+    const { itemKey, kind } = req.params;
+    if (kind !== 'poster' && kind !== 'background') {
+        res.status(404).end();
+        return;
+    }
+    try {
+        const image = await plexService.getArtwork(itemKey, kind);
+        if (!image) {
+            res.status(404).end();
+            return;
+        }
+        res.set('Content-Type', image.contentType);
+        res.set('Cache-Control', 'public, max-age=86400');
+        res.send(image.data);
+    } catch (error: any) {
+        console.error(`Failed to proxy Plex artwork for ${itemKey}: ${error.message}`);
+        res.status(502).end();
+    }
+});
+
+app.use(addonRouter);
+
 // Config API
 import apiRouter from './api/routes';
+import profileRouter from './api/profileRoutes';
+app.use('/api', profileRouter);
 app.use('/api', apiRouter);
 
+/**
+ * Runs the rest of the request with the profile named by the `:token` path parameter as the active profile.
+ * Responds with 404 for unknown tokens.
+ */
+function withProfile(req: express.Request, res: express.Response, next: express.NextFunction) {
+    const token = req.params.token as string;
+    if (!ConfigStore.hasProfile(token)) {
+        res.status(404).json({ error: "Unknown profile" });
+        return;
+    }
+    ConfigStore.runWithProfile(token, next);
+}
+
+// Per-user profiles: /:token/manifest.json, /:token/catalog/..., /:token/api/...
+app.use('/:token/api', withProfile, apiRouter);
+app.use('/:token', withProfile, addonRouter);
+
 const PORT = process.env.PORT || 7000;
 
 import { SchedulerService } from './services/SchedulerService';
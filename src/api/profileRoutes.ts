@@ -0,0 +1,56 @@
+/**
+ * profileRoutes.ts
+ * 
+ * Express Profile Management Routes.
+ * 
+ * Responsibilities:
+ * 1. Lists, creates and deletes user profiles.
+ * 2. Only mounted at the root `/api`: a profile's own `/:token/api` cannot see or manage other profiles.
+ */
+import { Router } from 'express';
+import { ConfigStore } from '../store/ConfigStore';
+import { SchedulerService } from '../services/SchedulerService';
+
+const router = Router();
+
+/**
+ * GET /profiles
+ * Returns all user profiles (token and name).
+ */
+router.get('/profiles', (req, res) => {
+    res.json(ConfigStore.getProfiles());
+});
+
+/**
+ * POST /profiles
+ * Creates a new, empty user profile and returns its token.
+ */
+router.post('/profiles', async (req, res) => {
+    const name = (req.body?.name || '').trim();
+    if (!name) {
+        res.status(400).json({ error: "Profile name is required." });
+        return;
+    }
+    const profile = await ConfigStore.createProfile(name);
+    ConfigStore.runWithProfile(profile.token, () => {
+        SchedulerService.updateSchedule(ConfigStore.getSettings().refreshIntervalHours);
+    });
+    res.json(profile);
+});
+
+/**
+ * DELETE /profiles/:token
+ * Deletes a user profile and cancels its schedule. The default profile cannot be deleted.
+ */
+router.delete('/profiles/:token', (req, res) => {
+    try {
+        const { token } = req.params;
+        ConfigStore.deleteProfile(token);
+        SchedulerService.cancelSchedule(token, true);
+        res.json({ success: true });
+    } catch (error: any) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+export default router;
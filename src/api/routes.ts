@@ -7,13 +7,19 @@
  * 1. Defines the REST API endpoints for the Frontend UI.
  * 2. Routes requests to appropriate Services (List, Catalog, Plex, etc.).
  * 3. Handles status checks and triggering of refreshing/maintenance tasks.
+ * 4. All endpoints act on the profile selected by the `/:token/api` mount point (or the default
+ *    profile under `/api`). Profiles themselves are managed in `profileRoutes`.
  */
 import { Router } from 'express';
 import { CatalogService } from '../services/CatalogService';
 import { ListService } from '../services/ListService';
-import { ConfigStore, DEFAULT_ITEM_LIMIT, ContentType } from '../store/ConfigStore';
+import { ConfigStore, DEFAULT_ITEM_LIMIT, ContentType, DuplicateMode } from '../store/ConfigStore';
 import { SchedulerService } from '../services/SchedulerService';
 import { plexService } from '../services/PlexService';
+import { jellyfinService } from '../services/JellyfinService';
+import { traktService } from '../services/TraktService';
+import { CustomListService } from '../services/CustomListService';
+import { addonCatalogService } from '../services/AddonCatalogService';
 
 const router = Router();
 
@@ -22,12 +28,14 @@ const router = Router();
 
 /**
  * GET /status
- * Returns the current status of the scheduler, including last run time and next invocation time.
+ * Returns the current status of the scheduler, including last run time and next invocation time
+ * (globally and per slot).
  */
 router.get('/status', (req, res) => {
     res.json({
         lastRunTime: SchedulerService.getLastRunTime(),
-        nextRunTime: SchedulerService.getNextInvocation()
+        nextRunTime: SchedulerService.getNextInvocation(),
+        slotNextRunTimes: SchedulerService.getSlotNextInvocations()
     });
 });
 
@@ -41,11 +49,11 @@ router.get('/settings', (req, res) => {
 
 /**
  * POST /settings
- * Updates application settings such as refresh interval and default item limit.
+ * Updates application settings such as refresh interval, default item limit and duplicate handling.
  */
 router.post('/settings', async (req, res) => {
     try {
-        const { refreshIntervalHours, defaultItemLimit } = req.body;
+        const { refreshIntervalHours, defaultItemLimit, duplicateMode } = req.body;
 
         const updates: any = {};
 
@@ -70,6 +78,15 @@ router.post('/settings', async (req, res) => {
             updates.defaultItemLimit = limit;
         }
 
+        // Validate duplicate mode
+        if (duplicateMode !== undefined) {
+            if (!Object.values(DuplicateMode).includes(duplicateMode)) {
+                res.status(400).json({ error: "Invalid duplicate mode." });
+                return;
+            }
+            updates.duplicateMode = duplicateMode;
+        }
+
         const newSettings = await ConfigStore.updateSettings(updates);
         res.json({ success: true, settings: newSettings });
     } catch (error: any) {
@@ -87,6 +104,14 @@ router.get('/lists', (req, res) => {
     res.json(ListService.getLists());
 });
 
+/**
+ * GET /lists/unresolved
+ * Returns, by list ID, the titles each list could not map to an IMDB id on its latest fetch.
+ */
+router.get('/lists/unresolved', (req, res) => {
+    res.json(CatalogService.getUnresolvedTitles());
+});
+
 /**
  * POST /lists
  * Adds a new source list configuration.
@@ -116,13 +141,35 @@ router.put('/lists/:id', async (req, res) => {
     }
 });
 
+/**
+ * POST /custom-lists/resolve
+ * Parses pasted IMDB ids / URLs or an uploaded CSV / JSON file ({ text, fileName }) into
+ * custom list items. Returns { items, unresolved }.
+ */
+router.post('/custom-lists/resolve', async (req, res) => {
+    try {
+        const { text, fileName } = req.body || {};
+        if (typeof text !== 'string' || !text.trim()) {
+            res.status(400).json({ error: "Nothing to import." });
+            return;
+        }
+        res.json(await CustomListService.importItems(text, typeof fileName === 'string' ? fileName : ''));
+    } catch (error: any) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
 /**
  * DELETE /lists/:id
- * Deletes a source list by ID.
+ * Deletes a source list by ID. Refused (409) while composite lists still use it.
  */
 router.delete('/lists/:id', (req, res) => {
-    ListService.deleteList(req.params.id);
-    res.json({ success: true });
+    try {
+        ListService.deleteList(req.params.id);
+        res.json({ success: true });
+    } catch (error: any) {
+        res.status(409).json({ error: error.message });
+    }
 });
 
 // --- Slots ---
@@ -142,6 +189,7 @@ router.get('/slots', (req, res) => {
 router.post('/slots', async (req, res) => {
     const { alias, type } = req.body;
     const newSlot = await CatalogService.addSlot(alias, type || 'movie');
+    SchedulerService.syncSlotSchedules();
     res.json(newSlot);
 });
 
@@ -152,7 +200,12 @@ router.post('/slots', async (req, res) => {
 router.put('/slots/:id', async (req, res) => {
     const { id } = req.params;
     const updates = req.body;
+    if (updates.schedule && (updates.schedule.cron || updates.schedule.intervalHours) && !SchedulerService.isValidSchedule(updates.schedule)) {
+        res.status(400).json({ error: "Invalid schedule. Use a positive number of hours or a valid cron expression." });
+        return;
+    }
     const result = await CatalogService.updateSlot(id, updates);
+    SchedulerService.syncSlotSchedules();
     res.json({ success: true, refreshResult: result });
 });
 
@@ -163,6 +216,7 @@ router.put('/slots/:id', async (req, res) => {
 router.delete('/slots/:id', (req, res) => {
     const { id } = req.params;
     CatalogService.deleteSlot(id);
+    SchedulerService.syncSlotSchedules();
     res.json({ success: true });
 });
 
@@ -185,17 +239,128 @@ router.post('/slots/:id/refresh', async (req, res) => {
     res.json(result || { success: false, error: "Unknown error" });
 });
 
+// --- Trakt ---
+
+/**
+ * GET /trakt/status
+ * Returns whether a Trakt account is connected to the profile.
+ */
+router.get('/trakt/status', (req, res) => {
+    res.json(traktService.getAuthStatus());
+});
+
+/**
+ * POST /trakt/auth/device
+ * Starts the Trakt device-code flow and returns the code the user enters on trakt.tv.
+ */
+router.post('/trakt/auth/device', async (req, res) => {
+    try {
+        res.json(await traktService.startDeviceAuth());
+    } catch (error: any) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /trakt/auth/poll
+ * Checks whether the user has approved the device code. Polled by the web UI.
+ */
+router.post('/trakt/auth/poll', async (req, res) => {
+    const { deviceCode } = req.body || {};
+    if (!deviceCode) {
+        res.status(400).json({ error: "Device code is required." });
+        return;
+    }
+    try {
+        const status = await traktService.pollDeviceAuth(deviceCode);
+        res.json({ status, ...traktService.getAuthStatus() });
+    } catch (error: any) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * DELETE /trakt/auth
+ * Disconnects the profile's Trakt account.
+ */
+router.delete('/trakt/auth', async (req, res) => {
+    await traktService.disconnect();
+    res.json({ success: true });
+});
+
+/**
+ * GET /trakt/lists
+ * Returns the connected account's own lists, including private ones.
+ */
+router.get('/trakt/lists', async (req, res) => {
+    try {
+        res.json(await traktService.getUserLists());
+    } catch (error: any) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // --- Plex ---
 
+/**
+ * GET /plex/servers
+ * Returns the Plex servers available to the profile (the environment's server and the named
+ * servers saved in its settings), without their tokens.
+ */
+router.get('/plex/servers', (req, res) => {
+    res.json(plexService.getServers());
+});
+
+/**
+ * POST /plex/servers
+ * Adds a named Plex server (or updates it when an `id` is given) from its name, URL and token.
+ * An empty token keeps the saved one.
+ */
+router.post('/plex/servers', async (req, res) => {
+    try {
+        const { id, name, url, token } = req.body || {};
+        res.json(await plexService.saveServer({ id, name, url, token }));
+    } catch (error: any) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /plex/servers/test
+ * Tries a direct connection with the given URL and token (or a saved server's) without saving anything.
+ */
+router.post('/plex/servers/test', async (req, res) => {
+    try {
+        const { id, url, token } = req.body || {};
+        res.json(await plexService.testConnection({ id, url, token }));
+    } catch (error: any) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+/**
+ * DELETE /plex/servers/:id
+ * Removes a named Plex server. Refused (409) while lists still use it.
+ */
+router.delete('/plex/servers/:id', async (req, res) => {
+    try {
+        await plexService.deleteServer(req.params.id);
+        res.json({ success: true });
+    } catch (error: any) {
+        res.status(409).json({ error: error.message });
+    }
+});
+
 /**
  * GET /plex/collections
- * Fetches available collections from the configured Plex server (Movies or TV).
+ * Fetches the collections (regular and smart) of every Plex library of the type (Movies or TV),
+ * plus the server's playlists. `server` picks the Plex server (default: the first one).
  */
 router.get('/plex/collections', async (req, res) => {
     try {
         const type = req.query.type as any || ContentType.MOVIE;
         console.log(`API: Received request for Plex collections. Type: ${type}`);
-        const cols = await plexService.getCollections(type);
+        const cols = await plexService.getCollections(type, req.query.server as string || undefined);
         console.log(`API: Got ${cols.length} collections`);
         res.json(cols);
     } catch (error: any) {
@@ -203,4 +368,54 @@ router.get('/plex/collections', async (req, res) => {
     }
 });
 
+/**
+ * GET /plex/libraries
+ * Fetches the Plex libraries (Movies or TV) with their genres, for building library queries.
+ * `server` picks the Plex server (default: the first one).
+ */
+router.get('/plex/libraries', async (req, res) => {
+    try {
+        const type = req.query.type as any || ContentType.MOVIE;
+        res.json(await plexService.getLibraryOptions(type, req.query.server as string || undefined));
+    } catch (error: any) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// --- Stremio Addons ---
+
+/**
+ * GET /addons/catalogs?url=<manifest URL>
+ * Reads another Stremio addon's manifest and returns its name and catalogs.
+ */
+router.get('/addons/catalogs', async (req, res) => {
+    try {
+        const url = String(req.query.url || '');
+        if (!url) {
+            res.status(400).json({ error: "Manifest URL is required." });
+            return;
+        }
+        res.json(await addonCatalogService.getCatalogs(url));
+    } catch (error: any) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// --- Jellyfin / Emby ---
+
+/**
+ * GET /jellyfin/collections
+ * Fetches available collections, playlists and libraries from the configured Jellyfin/Emby server (Movies or TV).
+ */
+router.get('/jellyfin/collections', async (req, res) => {
+    try {
+        const type = req.query.type as any || ContentType.MOVIE;
+        const cols = await jellyfinService.getCollections(type);
+        console.log(`API: Got ${cols.length} Jellyfin/Emby collections`);
+        res.json(cols);
+    } catch (error: any) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 export default router;
@@ -5,7 +5,11 @@ export const manifest: Manifest = {
     version: '1.0.0',
     name: 'Shufflist',
     description: 'Create dynamic catalogs that automatically rotate through your favorite lists from Trakt, MdbList, IMDB, and Plex. Features smart shuffling, auto-refresh scheduling, group exclusivity, and RPDB poster integration.',
-    resources: ['catalog'],
+    resources: [
+        'catalog',
+        // Detail pages for header items, Plex items without an IMDB id and unresolved `tmdb:` / `tvdb:` items
+        { name: 'meta', types: ['movie', 'series'], idPrefixes: ['shufflist_header_', 'plex_', 'tmdb:', 'tvdb:'] }
+    ],
     types: ['movie', 'series'],
     catalogs: [], // Start empty, populated dynamically
     idPrefixes: ['tt']
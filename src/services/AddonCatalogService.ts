@@ -0,0 +1,179 @@
+/**
+ * AddonCatalogService.ts
+ *
+ * External Stremio Addon Client.
+ *
+ * Responsibilities:
+ * 1. Reads another Stremio addon's manifest and lists the catalogs it offers (with their extras,
+ *    e.g. genre options).
+ * 2. Fetches `/catalog/...json` pages from that addon, paging with `skip`, to use a catalog as a source list.
+ *    Items with `tmdb:` / `tvdb:` ids carry them in `externalIds` for the IdResolverService.
+ */
+import axios from 'axios';
+import { ItemDetails } from './FilterService';
+import { ExternalIds } from './IdResolverService';
+
+// Upstream requests per page, for addons with small catalog pages
+const MAX_REQUESTS_PER_PAGE = 5;
+const REQUEST_TIMEOUT_MS = 15000;
+
+export interface AddonCatalogConfig {
+    manifestUrl: string;
+    catalogType: string; // e.g. 'movie', 'series'
+    catalogId: string;
+    extra?: Record<string, string>; // Extra values, e.g. { genre: 'Action' }
+}
+
+export interface AddonCatalogInfo {
+    type: string;
+    id: string;
+    name: string;
+    extra: { name: string, options?: string[], isRequired?: boolean }[];
+}
+
+export class AddonCatalogService {
+
+    /**
+     * Reads an addon's manifest and lists its catalogs. Search-only catalogs are left out.
+     * @param manifestUrl The addon's manifest URL (`stremio://` links are accepted).
+     * @returns A promise that resolves to the addon's name and catalogs.
+     */
+    async getCatalogs(manifestUrl: string): Promise<{ name: string, catalogs: AddonCatalogInfo[] }> {
+        const url = this.normalizeUrl(manifestUrl);
+        try {
+            const { data: manifest } = await axios.get(url, { timeout: REQUEST_TIMEOUT_MS });
+            if (!manifest || !Array.isArray(manifest.catalogs)) throw new Error("Not a Stremio addon manifest");
+
+            const catalogs = manifest.catalogs.map((c: any): AddonCatalogInfo => ({
+                type: c.type,
+                id: c.id,
+                name: c.name || c.id,
+                // Legacy manifests only list `extraSupported` / `extraRequired` names
+                extra: Array.isArray(c.extra)
+                    ? c.extra.map((e: any) => ({ name: e.name, options: e.options, isRequired: !!e.isRequired }))
+                    : (c.extraSupported || []).map((name: string) => ({ name, isRequired: (c.extraRequired || []).includes(name) }))
+            })).filter((c: AddonCatalogInfo) => !c.extra.some(e => e.isRequired && e.name === 'search'));
+
+            return { name: manifest.name || url, catalogs };
+        } catch (e: any) {
+            console.error(`Addon manifest fetch failed for ${url}:`, e.message);
+            throw new Error(`Failed to read addon manifest: ${e.response?.status === 404 ? 'Not found' : e.message}`);
+        }
+    }
+
+    /**
+     * Fetches a page of items from an addon's catalog. Items use their IMDB id when they have one,
+     * and otherwise keep the addon's id.
+     * @param config The addon catalog configuration.
+     * @param limit The page size.
+     * @param page The 1-based page to fetch (page size is `limit`).
+     * @returns A promise that resolves to the meta previews and whether more pages exist.
+     */
+    async getListItems(config: AddonCatalogConfig, limit: number, page: number = 1): Promise<{ items: any[], hasMore: boolean }> {
+        if (!config.manifestUrl || !config.catalogType || !config.catalogId) {
+            throw new Error("Addon catalog requires a Manifest URL and Catalog");
+        }
+
+        const baseUrl = this.normalizeUrl(config.manifestUrl).replace(/\/manifest\.json$/, '');
+        const metas: any[] = [];
+        const seen = new Set<string>();
+        let skip = (page - 1) * limit;
+        let hasMore = true;
+
+        try {
+            // Addons choose their own page size, so keep requesting until `limit` items are collected
+            for (let i = 0; i < MAX_REQUESTS_PER_PAGE && metas.length < limit && hasMore; i++) {
+                const url = `${baseUrl}/catalog/${encodeURIComponent(config.catalogType)}/${encodeURIComponent(config.catalogId)}${this.formatExtra(config.extra, skip)}.json`;
+                const { data } = await axios.get(url, { timeout: REQUEST_TIMEOUT_MS });
+                const batch: any[] = (data?.metas || []).filter((m: any) => m?.id);
+
+                // Addons that ignore `skip` return the same page again
+                const fresh = batch.filter(m => !seen.has(m.id));
+                fresh.forEach(m => seen.add(m.id));
+                metas.push(...fresh);
+
+                skip += batch.length;
+                hasMore = fresh.length > 0;
+            }
+        } catch (e: any) {
+            console.error(`Addon catalog fetch failed for ${baseUrl} (${config.catalogType}/${config.catalogId}):`, e.message);
+            throw new Error(`Failed to fetch addon catalog: ${e.response?.status === 404 ? 'Catalog not found' : e.message}`);
+        }
+
+        const items = metas.slice(0, limit).map(m => ({
+            id: this.getImdbId(m) || m.id,
+            type: m.type || config.catalogType,
+            name: m.name,
+            poster: m.poster || '',
+            description: m.description || '',
+            details: this.getDetails(m),
+            externalIds: this.getExternalIds(m)
+        }));
+
+        return { items, hasMore: hasMore || metas.length > limit };
+    }
+
+    /**
+     * Builds the extra path segment of a catalog URL, e.g. `/genre=Action&skip=100`.
+     * @param extra The configured extra values.
+     * @param skip The number of items to skip.
+     * @returns The segment, or an empty string if there are no extras.
+     */
+    private formatExtra(extra: Record<string, string> = {}, skip: number): string {
+        const pairs = Object.entries(extra).filter(([, v]) => v !== undefined && v !== '');
+        if (skip > 0) pairs.push(['skip', String(skip)]);
+        if (pairs.length === 0) return '';
+        return '/' + pairs.map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(v)}`).join('&');
+    }
+
+    /**
+     * Reads an item's IMDB id: its id when it is one, or an `imdb_id` field some addons add.
+     * @param meta The meta preview.
+     */
+    private getImdbId(meta: any): string | undefined {
+        if (typeof meta.id === 'string' && /^tt\d+$/.test(meta.id)) return meta.id;
+        if (typeof meta.imdb_id === 'string' && /^tt\d+$/.test(meta.imdb_id)) return meta.imdb_id;
+        return undefined;
+    }
+
+    /**
+     * Reads an item's TMDB / TVDB id from a `tmdb:<id>` / `tvdb:<id>` id or a `tmdb_id` / `tvdb_id` field.
+     * @param meta The meta preview.
+     */
+    private getExternalIds(meta: any): ExternalIds {
+        const [prefix, value] = String(meta.id).split(':');
+        return {
+            tmdb: prefix === 'tmdb' ? value : meta.tmdb_id ?? meta.moviedb_id,
+            tvdb: prefix === 'tvdb' ? value : meta.tvdb_id
+        };
+    }
+
+    /**
+     * Extracts filter metadata from a meta preview.
+     * @param meta The meta preview.
+     * @returns The item details.
+     */
+    private getDetails(meta: any): ItemDetails {
+        const rating = parseFloat(meta.imdbRating);
+        const year = parseInt(meta.releaseInfo ?? meta.year);
+        return {
+            rating: isNaN(rating) ? undefined : rating,
+            year: isNaN(year) ? undefined : year,
+            genres: meta.genres || meta.genre
+        };
+    }
+
+    /**
+     * Turns a `stremio://` install link into an https URL and makes sure it points at the manifest.
+     * @param url The URL as entered.
+     * @returns The manifest URL.
+     */
+    private normalizeUrl(url: string): string {
+        let result = (url || '').trim().replace(/^stremio:\/\//, 'https://');
+        if (!/^https?:\/\//.test(result)) throw new Error("Invalid addon URL");
+        if (!result.endsWith('/manifest.json')) result = result.replace(/\/+$/, '') + '/manifest.json';
+        return result;
+    }
+}
+
+export const addonCatalogService = new AddonCatalogService();
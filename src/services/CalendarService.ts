@@ -0,0 +1,104 @@
+/**
+ * CalendarService.ts
+ * 
+ * Calendar Eligibility Rules.
+ * 
+ * Responsibilities:
+ * 1. Evaluates `CalendarRule`s (days of the week, time of day, yearly date ranges) against the server's local time.
+ * 2. Narrows a slot's list pool to the lists that are eligible right now, letting "exclusive" rules
+ *    replace the whole pool while they are active (e.g. holiday lists during December).
+ */
+import { CalendarRule, CatalogSlot, SourceList } from '../store/ConfigStore';
+
+export class CalendarService {
+
+    /**
+     * Gets the calendar rule that applies to a list within a slot.
+     * A per-slot override wins over the list's own rule.
+     * @param slot The catalog slot.
+     * @param list The source list.
+     * @returns The rule, or undefined if the list is always eligible.
+     */
+    static getRule(slot: CatalogSlot, list: SourceList): CalendarRule | undefined {
+        return slot.listCalendars?.[list.id] || list.calendar;
+    }
+
+    /**
+     * Checks whether a rule is active at the given moment. All conditions present must match.
+     * @param rule The calendar rule.
+     * @param now The moment to check (defaults to now).
+     * @returns True if the rule is active.
+     */
+    static isActive(rule: CalendarRule, now: Date = new Date()): boolean {
+        if (rule.days && rule.days.length > 0 && !rule.days.includes(now.getDay())) {
+            return false;
+        }
+
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        if (!this.inRange(minutes, this.parseTime(rule.startTime), this.parseTime(rule.endTime), false)) {
+            return false;
+        }
+
+        const monthDay = (now.getMonth() + 1) * 100 + now.getDate();
+        if (!this.inRange(monthDay, this.parseDate(rule.startDate), this.parseDate(rule.endDate), true)) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Filters a slot's pool down to the lists eligible right now.
+     * If any eligible list has an active exclusive rule, only those lists remain.
+     * @param slot The catalog slot.
+     * @param lists The slot's pool.
+     * @param now The moment to check (defaults to now).
+     * @returns The eligible lists, or an empty array if no list is eligible.
+     */
+    static filterEligible(slot: CatalogSlot, lists: SourceList[], now: Date = new Date()): SourceList[] {
+        const eligible = lists.filter(l => {
+            const rule = this.getRule(slot, l);
+            return !rule || this.isActive(rule, now);
+        });
+
+        const exclusive = eligible.filter(l => this.getRule(slot, l)?.exclusive);
+        return exclusive.length > 0 ? exclusive : eligible;
+    }
+
+    /**
+     * Checks whether a value lies in a range that may wrap around (past midnight or the new year).
+     * @param value The value to check.
+     * @param start The range start, or null for an open start.
+     * @param end The range end, or null for an open end.
+     * @param inclusiveEnd Whether the end itself is part of the range.
+     */
+    private static inRange(value: number, start: number | null, end: number | null, inclusiveEnd: boolean): boolean {
+        const beforeEnd = (v: number, e: number) => inclusiveEnd ? v <= e : v < e;
+
+        if (start === null && end === null) return true;
+        if (start === null) return beforeEnd(value, end!);
+        if (end === null) return value >= start;
+        if (start <= end) return value >= start && beforeEnd(value, end);
+        return value >= start || beforeEnd(value, end); // Wraps around
+    }
+
+    /**
+     * Parses 'HH:MM' into minutes after midnight.
+     * @returns The minutes, or null if missing or invalid.
+     */
+    private static parseTime(time?: string): number | null {
+        const match = time?.match(/^(\d{1,2}):(\d{2})$/);
+        if (!match) return null;
+        return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+    }
+
+    /**
+     * Parses 'MM-DD' into a comparable month/day number (e.g. '10-31' -> 1031).
+     * @returns The number, or null if missing or invalid.
+     */
+    private static parseDate(date?: string): number | null {
+        const match = date?.match(/^(\d{1,2})-(\d{1,2})$/);
+        if (!match) return null;
+        return parseInt(match[1], 10) * 100 + parseInt(match[2], 10);
+    }
+}
@@ -6,20 +6,55 @@
  * Responsibilities:
  * 1. Generates the Stremio Manifest dynamically based on configured Slots.
  * 2. Handles the implementation of `getItems` for Stremio requests.
- * 3. Manages the "REFRESH" logic: selecting a random list for a slot, fetching its items, 
- *    and pre-pending the header item.
+ * 3. Manages the "REFRESH" logic: selecting a list for a slot according to its rotation mode,
+ *    fetching its items, and pre-pending the header item.
  * 4. Coordinates with `ConfigStore` to read slot configuration.
+ * 5. Builds detail pages (`meta`) for header items, Plex-only items and items with a `tmdb:` / `tvdb:` fallback id.
+ * 6. Maps fetched items to IMDB ids through the `IdResolverService` and keeps track of the
+ *    titles each list could not resolve.
  */
 import { Manifest, MetaPreview } from 'stremio-addon-sdk';
 import { manifest } from '../manifest';
 import { traktService } from './TraktService';
 import { mdbListService } from './MdbListService';
-import { plexService } from './PlexService';
+import { tmdbService, TmdbListConfig } from './TmdbService';
+import { letterboxdService } from './LetterboxdService';
+import { jellyfinService } from './JellyfinService';
+import { addonCatalogService, AddonCatalogConfig } from './AddonCatalogService';
+import { plexService, PLEX_ID_PREFIX } from './PlexService';
+import { WatchHistoryService } from './WatchHistoryService';
+import { idResolverService, FALLBACK_ID_PREFIXES } from './IdResolverService';
 import { imdbService } from './ImdbService';
 import { RpdbService } from './RpdbService';
-import { ConfigStore, CatalogSlot, SourceType, ContentType, SourceList, DEFAULT_ITEM_LIMIT } from '../store/ConfigStore';
+import { CalendarService } from './CalendarService';
+import { FilterService, ItemDetails } from './FilterService';
+import { HeaderPosterService } from './HeaderPosterService';
+import { ConfigStore, CatalogSlot, SourceType, ContentType, SourceList, ListSelection, CustomListItem, DEFAULT_ITEM_LIMIT, MAX_ROTATION_HISTORY, DEFAULT_PROFILE, DEFAULT_LIST_WEIGHT, DEFAULT_NO_REPEAT_COUNT, RotationMode, MergeStrategy, DuplicateMode, HeaderPosition, CompositeOperation } from '../store/ConfigStore';
+
+const HEADER_ID_PREFIX = 'shufflist_header_';
+// Extra upstream pages fetched to refill a page emptied by hidden watched titles
+const MAX_TOP_UP_PAGES = 5;
+// Items read from each source of a composite list
+const MAX_COMPOSITE_SOURCE_ITEMS = 1000;
+// How long a composite list's computed items are reused (e.g. across page requests)
+const COMPOSITE_CACHE_MS = 10 * 60 * 1000;
+
+/**
+ * Extra parameters Stremio can attach to a catalog request.
+ */
+export interface CatalogExtra {
+    skip?: number;
+    genre?: string;
+    search?: string;
+}
 
 export class CatalogService {
+    private static pendingPages = new Map<string, Promise<void>>();
+    private static genreSelections = new Map<string, ListSelection>();
+    private static searchCache = new Map<string, { items: MetaPreview[], fetchedAt: number }>();
+    private static SEARCH_CACHE_TTL_MS = 60 * 60 * 1000;
+    private static compositeCache = new Map<string, { items: any[], configKey: string, expires: number }>();
+    private static unresolvedTitles = new Map<string, string[]>(); // '<profile>:<listId>' -> titles without an IMDB id
 
     /**
      * Loads the configuration from the config store.
@@ -35,6 +70,7 @@ export class CatalogService {
 
     /**
      * Generates the Stremio manifest dynamically based on configured slots.
+     * Each slot publishes the aliases of its list pool as `genre` options and supports `search`.
      * @returns The generated manifest object.
      */
     static getManifest(): Manifest {
@@ -42,29 +78,319 @@ export class CatalogService {
             id: `cat_${slot.id}`,
             type: slot.type || ContentType.MOVIE,
             name: slot.alias,
-            extra: [{ name: 'skip' }]
+            extra: [
+                { name: 'genre', options: this.getSlotLists(slot).map(l => l.alias), isRequired: false },
+                { name: 'search', isRequired: false },
+                { name: 'skip' }
+            ]
         }));
 
+        // Each user profile is installed as a separate addon
+        const token = ConfigStore.getProfileToken();
+        const profileName = ConfigStore.getData().name;
+        const profileManifest = token === DEFAULT_PROFILE ? {} : {
+            id: `${manifest.id}.${token}`,
+            name: `${manifest.name} (${profileName || token})`
+        };
+
         return {
             ...manifest,
+            ...profileManifest,
             catalogs: [...(manifest.catalogs || []), ...dynamicCatalogs]
         };
     }
 
     /**
-     * Retrieves the items for a specific catalog.
+     * Retrieves a page of items for a specific catalog.
+     * When the requested window runs past the stored items, further pages are
+     * fetched from the upstream source and appended to the selection.
+     * The header item is stored first in every selection and placed according to the slot's `headerPosition`.
      * @param catalogId The ID of the catalog to retrieve items for.
+     * @param extra The Stremio extra parameters (`skip`, `genre`, `search`).
+     * @param baseUrl The public base URL of the addon, used for header posters.
      * @returns A promise that resolves to an array of meta previews.
      */
-    static async getItems(catalogId: string): Promise<MetaPreview[]> {
+    static async getItems(catalogId: string, extra: CatalogExtra = {}, baseUrl: string = ''): Promise<MetaPreview[]> {
         const slotId = catalogId.replace('cat_', '');
         const slot = ConfigStore.getSlots().find(s => s.id === slotId);
-        if (!slot || !slot.currentSelection) return [];
-        return slot.currentSelection.items;
+        if (!slot) return [];
+
+        if (extra.search) {
+            // Search results are returned in a single page
+            return extra.skip ? [] : this.searchItems(slot, extra.search);
+        }
+
+        let selection = slot.currentSelection;
+        let list = ConfigStore.getLists().find(l => l.id === selection?.sourceId);
+
+        if (extra.genre && extra.genre !== list?.alias) {
+            list = this.getSlotLists(slot).find(l => l.alias === extra.genre);
+            if (!list) return [];
+            selection = await this.getGenreSelection(slot, list);
+        }
+
+        if (!selection) return [];
+
+        const skip = extra.skip || 0;
+        const pageSize = list?.limit || DEFAULT_ITEM_LIMIT;
+        const position = slot.headerPosition || HeaderPosition.FIRST;
+        const hasHeader = !!selection.items[0]?.id.startsWith(HEADER_ID_PREFIX);
+
+        // The first page also carries the header item when it comes first
+        const end = skip === 0 && position === HeaderPosition.FIRST ? pageSize + 1 : skip + pageSize;
+        // Stored items needed to serve the window (the stored header only counts when it is served first)
+        const needed = hasHeader && position !== HeaderPosition.FIRST ? end + 1 : end;
+
+        if (list && selection.items.length < needed && selection.hasMore !== false) {
+            const isCurrent = selection === slot.currentSelection;
+            await this.loadMoreItems(`${slot.id}:${list.id}`, selection, list, needed, this.shouldHideWatched(slot, list), isCurrent ? slot : undefined);
+            if (isCurrent) await ConfigStore.saveConfig();
+        }
+
+        let items = selection.items;
+        if (hasHeader && position !== HeaderPosition.FIRST) {
+            items = items.slice(1);
+            // A trailing header is shown once the list has no further pages
+            if (position === HeaderPosition.LAST && (!list || selection.hasMore === false)) {
+                items.push(selection.items[0]);
+            }
+        }
+
+        return items.slice(skip, end).map(item => this.resolveHeaderPoster(slot, item, baseUrl));
+    }
+
+    /**
+     * Searches item titles across every list in a slot's pool, not only the active selection.
+     * Matching items are de-duplicated and their description notes which lists contain them.
+     * @param slot The catalog slot to search.
+     * @param query The search query.
+     * @returns A promise that resolves to the matching meta previews.
+     */
+    private static async searchItems(slot: CatalogSlot, query: string): Promise<MetaPreview[]> {
+        const term = query.trim().toLowerCase();
+        if (!term) return [];
+
+        const lists = this.getSlotLists(slot);
+        const listItems = await Promise.all(lists.map(list => this.getSearchableItems(list)));
+
+        const results = new Map<string, { item: MetaPreview, lists: string[] }>();
+        lists.forEach((list, index) => {
+            for (const item of listItems[index]) {
+                if (!item.name?.toLowerCase().includes(term)) continue;
+                const existing = results.get(item.id);
+                if (existing) {
+                    existing.lists.push(list.alias);
+                } else {
+                    results.set(item.id, { item, lists: [list.alias] });
+                }
+            }
+        });
+
+        console.log(`Search "${query}" in slot ${slot.alias} matched ${results.size} items across ${lists.length} lists`);
+        return Array.from(results.values()).map(({ item, lists }) => ({
+            ...item,
+            description: `Found in: ${lists.join(', ')}${item.description ? `\n\n${item.description}` : ''}`
+        }));
+    }
+
+    /**
+     * Gets the stored items of a list for searching, preferring an active selection and
+     * otherwise fetching the list's first page. Results are cached per list.
+     * @param list The source list.
+     * @returns A promise that resolves to the list's items (empty if the list could not be fetched).
+     */
+    private static async getSearchableItems(list: SourceList): Promise<MetaPreview[]> {
+        const active = ConfigStore.getSlots().find(s => s.currentSelection?.sourceId === list.id)?.currentSelection;
+        if (active) return active.items.filter(i => !i.id.startsWith(HEADER_ID_PREFIX));
+
+        const cached = this.searchCache.get(list.id);
+        if (cached && Date.now() - cached.fetchedAt < this.SEARCH_CACHE_TTL_MS) return cached.items;
+
+        try {
+            const { items } = await this.fetchListItems(list);
+            this.searchCache.set(list.id, { items, fetchedAt: Date.now() });
+            return items;
+        } catch (error: any) {
+            console.error(`Search could not fetch list ${list.alias}: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Builds the detail page for a header item, a Plex item without an IMDB id, or an item with a fallback id.
+     * @param id The Stremio item ID.
+     * @param baseUrl The public base URL of the addon, used for proxied Plex artwork and header posters.
+     * @returns A promise that resolves to the meta object, or null if the item is unknown.
+     */
+    static async getMeta(id: string, baseUrl: string): Promise<MetaPreview | null> {
+        if (id.startsWith(HEADER_ID_PREFIX)) return this.getHeaderMeta(id, baseUrl);
+
+        if (id.startsWith(PLEX_ID_PREFIX)) {
+            const itemKey = id.slice(PLEX_ID_PREFIX.length);
+            const artUrl = `${baseUrl}${this.getProfilePath()}/plex/art/${encodeURIComponent(itemKey)}`;
+            try {
+                const meta = await plexService.getMeta(itemKey);
+                if (!meta) return null;
+                return {
+                    id,
+                    type: meta.type,
+                    name: meta.title,
+                    description: meta.summary || '',
+                    releaseInfo: meta.year ? String(meta.year) : undefined,
+                    year: meta.year,
+                    genres: meta.genres,
+                    imdbRating: meta.rating ? meta.rating.toFixed(1) : undefined,
+                    runtime: meta.duration ? `${Math.round(meta.duration / 60000)} min` : undefined,
+                    poster: meta.thumb ? `${artUrl}/poster.jpg` : undefined,
+                    background: meta.art ? `${artUrl}/background.jpg` : undefined
+                };
+            } catch (error: any) {
+                console.error(`Failed to fetch Plex meta for ${itemKey}: ${error.message}`);
+                return null;
+            }
+        }
+
+        if (FALLBACK_ID_PREFIXES.some(prefix => id.startsWith(prefix))) return this.getStoredMeta(id);
+
+        return null;
+    }
+
+    /**
+     * Builds the detail page for an item from what its list provided, for items (like those with a
+     * `tmdb:` / `tvdb:` fallback id) that no other addon knows.
+     * @param id The item ID.
+     * @returns The stored item, or null if no catalog of the active profile shows it.
+     */
+    private static getStoredMeta(id: string): MetaPreview | null {
+        const selections = [...ConfigStore.getSlots().map(s => s.currentSelection), ...this.genreSelections.values()];
+        for (const selection of selections) {
+            const item = selection?.items.find(i => i.id === id);
+            if (item) return { ...item };
+        }
+        return null;
+    }
+
+    /**
+     * Builds the detail page for a header item: the list's description and the slot's recent rotation history.
+     * @param id The header item ID (`shufflist_header_<slotId>_<timestamp>`).
+     * @param baseUrl The public base URL of the addon, used for the header poster.
+     * @returns The meta object, or null if the slot no longer exists.
+     */
+    private static getHeaderMeta(id: string, baseUrl: string): MetaPreview | null {
+        const match = id.slice(HEADER_ID_PREFIX.length).match(/^(.+)_\d+$/);
+        const slot = match && ConfigStore.getSlots().find(s => s.id === match[1]);
+        if (!slot) return null;
+
+        // The header may belong to the active selection or to a list browsed through the genre extra
+        const selections = [slot.currentSelection, ...this.genreSelections.values()];
+        const selection = selections.find(s => s?.items[0]?.id === id) || slot.currentSelection;
+        const header = selection?.items[0]?.id.startsWith(HEADER_ID_PREFIX)
+            ? selection.items[0]
+            : this.createHeaderItem(slot, selection?.name || slot.alias, undefined, selection?.items.length || 0);
+        const list = ConfigStore.getLists().find(l => l.id === selection?.sourceId);
+
+        const lines = [list?.description || header.description];
+        if (slot.history?.length) {
+            lines.push('', 'Recent rotation:');
+            slot.history.forEach(entry => {
+                lines.push(`• ${entry.name} (${new Date(entry.timestamp).toLocaleDateString()})`);
+            });
+        }
+
+        return {
+            ...this.resolveHeaderPoster(slot, header, baseUrl),
+            id,
+            description: lines.join('\n'),
+            genres: [slot.alias]
+        };
+    }
+
+    /**
+     * Gets the lists in a slot's pool that match the slot's content type.
+     * @param slot The catalog slot.
+     * @returns The matching source lists, in pool order.
+     */
+    private static getSlotLists(slot: CatalogSlot): SourceList[] {
+        const slotType = slot.type || ContentType.MOVIE;
+        return ConfigStore.getLists().filter(l =>
+            slot.listIds.includes(l.id) &&
+            (l.contentType || ContentType.MOVIE) === slotType
+        );
     }
 
     /**
-     * Refreshes a specific slot by selecting a random list and fetching its items.
+     * Gets the selection for a list picked through the `genre` extra, fetching its first page on demand.
+     * These selections are cached in memory until the slot is next refreshed and never change the rotation.
+     * @param slot The catalog slot being browsed.
+     * @param list The source list that was picked.
+     * @returns The cached or freshly fetched selection, or undefined if the list could not be fetched.
+     */
+    private static async getGenreSelection(slot: CatalogSlot, list: SourceList): Promise<ListSelection | undefined> {
+        const key = `${slot.id}:${list.id}`;
+        const cached = this.genreSelections.get(key);
+        if (cached) return cached;
+
+        try {
+            console.log(`Slot ${slot.alias} browsing list ${list.alias} on demand`);
+            const { items, listName, hasMore, page } = await this.fetchListItems(list, 1, this.shouldHideWatched(slot, list));
+            items.unshift(this.createHeaderItem(slot, listName, this.getSourceKey(list), items.length, hasMore));
+
+            const selection: ListSelection = {
+                name: listName,
+                sourceType: list.type,
+                sourceId: list.id,
+                items,
+                page,
+                hasMore
+            };
+            this.genreSelections.set(key, selection);
+            return selection;
+        } catch (error: any) {
+            console.error(`Failed to fetch list ${list.alias} for slot ${slot.alias}: ${error.message}`);
+            return undefined;
+        }
+    }
+
+    /**
+     * Fetches upstream pages into a selection until it holds at least `minItems` items
+     * or the source is exhausted. Concurrent requests for the same key share a single fetch.
+     * @param key The slot/list key identifying the selection.
+     * @param selection The selection to grow.
+     * @param list The source list backing the selection.
+     * @param minItems The number of items (including the header) the selection should hold.
+     * @param hideWatched Whether to drop titles the user has already watched.
+     * @param slot The slot showing the selection, to drop titles of earlier slots from new pages (optional).
+     */
+    private static async loadMoreItems(key: string, selection: ListSelection, list: SourceList, minItems: number, hideWatched: boolean, slot?: CatalogSlot) {
+        const pending = this.pendingPages.get(key);
+        if (pending) return pending;
+
+        const task = (async () => {
+            try {
+                while (selection.items.length < minItems && selection.hasMore !== false) {
+                    const page = (selection.page || 1) + 1;
+                    console.log(`Fetching page ${page} of ${list.alias}`);
+                    const { items, hasMore, page: lastPage } = await this.fetchListItems(list, page, hideWatched);
+
+                    const seen = new Set(selection.items.map(i => i.id));
+                    const fresh = items.filter(i => !seen.has(i.id));
+                    selection.items.push(...(slot ? this.removeDuplicates(slot, fresh) : fresh));
+                    selection.page = lastPage;
+                    selection.hasMore = hasMore && items.length > 0;
+                }
+            } catch (error: any) {
+                console.error(`Failed to fetch more items for ${list.alias}: ${error.message}`);
+            } finally {
+                this.pendingPages.delete(key);
+            }
+        })();
+
+        this.pendingPages.set(key, task);
+        return task;
+    }
+
+    /**
+     * Refreshes a specific slot by selecting a list according to its rotation mode and fetching its items.
      * @param slotId The ID of the slot to refresh.
      * @returns A promise that resolves to an object containing the refresh results.
      */
@@ -75,25 +401,44 @@ export class CatalogService {
 
         // Filter valid lists from IDs AND content type
         const slotType = slot.type || ContentType.MOVIE;
-        const availableLists = lists.filter(l =>
-            slot.listIds.includes(l.id) &&
-            (l.contentType || ContentType.MOVIE) === slotType
-        );
+        const availableLists = this.getSlotLists(slot);
+
+        // Lists browsed through the genre extra are re-fetched after each rotation
+        for (const key of this.genreSelections.keys()) {
+            if (key.startsWith(`${slot.id}:`)) this.genreSelections.delete(key);
+        }
 
         if (availableLists.length === 0) {
             console.warn(`Slot ${slot.alias} (${slotType}) has no available lists to choose from.`);
             return;
         }
 
+        // Lists with weight 0 are never picked
+        const weightedLists = availableLists.filter(l => this.getListWeight(slot, l) > 0);
+        if (weightedLists.length === 0) {
+            console.warn(`Slot ${slot.alias} has no lists with a weight above 0.`);
+            return { success: false, error: "No list has a weight above 0" };
+        }
+
+        // --- Calendar Rules ---
+        let eligibleLists = CalendarService.filterEligible(slot, weightedLists);
+        if (eligibleLists.length === 0) {
+            console.warn(`Slot ${slot.alias} has no lists eligible by their calendar rules right now. Ignoring calendar rules.`);
+            eligibleLists = weightedLists;
+        } else if (eligibleLists.length < weightedLists.length) {
+            console.log(`Slot ${slot.alias}: ${eligibleLists.length}/${weightedLists.length} lists eligible by calendar rules.`);
+        }
+
         // --- Unique List & Group Logic ---
 
         // 1. Identify what is currently active in OTHER slots
         const otherActiveSelections = ConfigStore.getSlots()
-            .filter(s => s.id !== slotId && s.currentSelection?.sourceId && s.type == slotType)
-            .map(s => {
-                const list = lists.find(l => l.id === s.currentSelection!.sourceId);
+            .filter(s => s.id !== slotId && s.currentSelection && s.type == slotType)
+            .flatMap(s => this.getSelectionListIds(s.currentSelection))
+            .map(id => {
+                const list = lists.find(l => l.id === id);
                 return {
-                    id: s.currentSelection!.sourceId!,
+                    id,
                     group: list?.group
                 };
             });
@@ -105,7 +450,7 @@ export class CatalogService {
         // 2. Filter candidates
         // Rule A: Don't pick the exact same list that is active elsewhere
         // Rule B: Don't pick a list if its group is already active elsewhere
-        const candidates = availableLists.filter(l => {
+        const candidates = eligibleLists.filter(l => {
             if (activeListIds.includes(l.id)) return false; // Rule A
             if (l.group && activeGroups.has(l.group)) return false; // Rule B
             return true;
@@ -115,7 +460,11 @@ export class CatalogService {
             console.warn(`Slot ${slot.alias} has no lists available after enforcing exclusivity rules. Defaulting to standard pool.`);
         }
 
-        const selectionPool = candidates.length > 0 ? candidates : availableLists;
+        const selectionPool = candidates.length > 0 ? candidates : eligibleLists;
+
+        if (slot.mergeStrategy) {
+            return this.refreshMergedSlot(slot, selectionPool);
+        }
 
         // Retry logic variables
         const pool = [...selectionPool];
@@ -125,28 +474,37 @@ export class CatalogService {
         let firstFailReason = '';
 
         while (pool.length > 0) {
-            const randomIndex = Math.floor(Math.random() * pool.length);
+            const randomIndex = this.pickNextIndex(slot, pool);
+            if (randomIndex === -1) break;
             const randomList = pool[randomIndex];
 
             console.log(`Refreshing slot ${slot.alias} trying list ${randomList.alias} (Pool: ${pool.length})`);
 
             try {
-                const { items, listName } = await this.fetchListItems(randomList);
+                const fetched = await this.fetchListItems(randomList, 1, this.shouldHideWatched(slot, randomList));
+                const { listName, hasMore, page } = fetched;
+                // Titles of earlier slots are handled on this first page; later pages as they are appended
+                const items = this.removeDuplicates(slot, fetched.items);
 
                 // Allow empty lists, but flag them
                 const isEmpty = items.length === 0;
 
                 // Create Header Item
-                const headerItem = this.createHeaderItem(slot, listName);
+                const headerItem = this.createHeaderItem(slot, listName, this.getSourceKey(randomList), items.length, hasMore);
                 items.unshift(headerItem);
 
                 slot.currentSelection = {
                     name: listName,
                     sourceType: randomList.type,
                     sourceId: randomList.id,
-                    items: items
+                    items: items,
+                    page,
+                    hasMore
                 };
 
+                this.advanceRotation(slot, randomList, listName);
+                this.removeLaterDuplicates(slot);
+
                 console.log(`Slot ${slot.alias} updated with ${items.length - 1} items from ${listName}`);
                 await ConfigStore.saveConfig();
 
@@ -179,26 +537,347 @@ export class CatalogService {
     }
 
     /**
-     * Fetches items from a source list.
+     * Refreshes a merged slot: picks K lists (or all) from the pool according to the rotation mode,
+     * fetches them and blends their items using the slot's merge strategy. Failed lists are replaced
+     * by further picks while the pool lasts.
+     * @param slot The catalog slot.
+     * @param selectionPool The candidate lists, after calendar and exclusivity filtering.
+     * @returns A promise that resolves to the refresh results.
+     */
+    private static async refreshMergedSlot(slot: CatalogSlot, selectionPool: SourceList[]) {
+        const pool = [...selectionPool];
+        const wanted = slot.mergeCount && slot.mergeCount > 0 ? Math.min(slot.mergeCount, pool.length) : pool.length;
+        const picked: { list: SourceList, listName: string, items: MetaPreview[] }[] = [];
+        let lastError = '';
+        let firstFailedName = '';
+        let firstFailReason = '';
+
+        while (picked.length < wanted && pool.length > 0) {
+            const index = this.pickNextIndex(slot, pool);
+            if (index === -1) break;
+            const [list] = pool.splice(index, 1);
+
+            try {
+                const { items, listName } = await this.fetchListItems(list, 1, this.shouldHideWatched(slot, list));
+                picked.push({ list, listName, items });
+                // Advance per pick so sequential/round-robin modes move on to the next list
+                this.advanceRotation(slot, list, listName);
+            } catch (error: any) {
+                console.error(`Failed to fetch list ${list.alias} for merged slot ${slot.alias}: ${error.message}`);
+                if (!firstFailedName) {
+                    lastError = error.message;
+                    firstFailedName = list.alias;
+                    firstFailReason = this.formatFailReason(error.message);
+                }
+            }
+        }
+
+        if (picked.length === 0) {
+            console.error(`Slot ${slot.alias} failed to refresh after trying all available lists.`);
+            return { success: false, error: lastError || "All lists failed" };
+        }
+
+        const items = this.removeDuplicates(slot, this.mergeItems(slot, picked.map(p => ({ list: p.list, items: p.items }))));
+        const listName = picked.map(p => p.listName).join(' + ');
+        const isEmpty = items.length === 0;
+
+        items.unshift(this.createHeaderItem(slot, listName, 'merged', items.length));
+
+        slot.currentSelection = {
+            name: listName,
+            sourceType: 'merged',
+            sourceIds: picked.map(p => p.list.id),
+            items,
+            page: 1,
+            hasMore: false
+        };
+        this.removeLaterDuplicates(slot);
+
+        console.log(`Merged slot ${slot.alias} updated with ${items.length - 1} items from ${listName}`);
+        await ConfigStore.saveConfig();
+
+        return {
+            success: true,
+            listName,
+            retried: !!firstFailedName,
+            isEmpty,
+            failedListName: firstFailedName,
+            failReason: firstFailReason
+        };
+    }
+
+    /**
+     * Blends the items of several lists using the slot's merge strategy and removes duplicate IDs
+     * (the first occurrence wins).
+     * @param slot The catalog slot.
+     * @param sources The lists and their fetched items, in pick order.
+     * @returns The merged items.
+     */
+    private static mergeItems(slot: CatalogSlot, sources: { list: SourceList, items: MetaPreview[] }[]): MetaPreview[] {
+        let merged: MetaPreview[] = [];
+
+        if (slot.mergeStrategy === MergeStrategy.CONCAT) {
+            merged = sources.flatMap(s => s.items);
+        } else {
+            // Interleave: equal weights take turns; WEIGHTED takes from the list furthest behind its share
+            const weights = sources.map(s => slot.mergeStrategy === MergeStrategy.WEIGHTED
+                ? this.getListWeight(slot, s.list) || Number.EPSILON
+                : 1);
+            const taken = sources.map(() => 0);
+            const total = sources.reduce((sum, s) => sum + s.items.length, 0);
+
+            while (merged.length < total) {
+                let next = -1;
+                sources.forEach((s, i) => {
+                    if (taken[i] >= s.items.length) return;
+                    if (next === -1 || taken[i] / weights[i] < taken[next] / weights[next]) next = i;
+                });
+                merged.push(sources[next].items[taken[next]++]);
+            }
+        }
+
+        const seen = new Set<string>();
+        return merged.filter(item => {
+            if (seen.has(item.id)) return false;
+            seen.add(item.id);
+            return true;
+        });
+    }
+
+    /**
+     * Gets the IDs of the lists a selection was built from (one, or several for merged slots).
+     * @param selection The selection.
+     * @returns The list IDs.
+     */
+    static getSelectionListIds(selection?: ListSelection): string[] {
+        if (!selection) return [];
+        if (selection.sourceIds) return selection.sourceIds;
+        return selection.sourceId ? [selection.sourceId] : [];
+    }
+
+    /**
+     * Applies the duplicate mode setting to items a slot is about to show: titles shown by an earlier
+     * slot (in configured order) are dropped or moved after the slot's other new items.
+     * A refreshing slot only passes in its new items (the first page, then each appended page), so
+     * its items never move; later slots are checked again when an earlier one refreshes.
+     * @param slot The catalog slot.
+     * @param items The new items.
+     * @returns The items to append.
+     */
+    private static removeDuplicates(slot: CatalogSlot, items: MetaPreview[]): MetaPreview[] {
+        const mode = ConfigStore.getSettings().duplicateMode || DuplicateMode.OFF;
+        if (mode === DuplicateMode.OFF) return items;
+
+        const slots = ConfigStore.getSlots();
+        const shown = new Set(slots.slice(0, slots.indexOf(slot))
+            .flatMap(s => s.currentSelection?.items || [])
+            .map(item => item.id));
+
+        const unique: MetaPreview[] = [];
+        const duplicates: MetaPreview[] = [];
+        for (const item of items) {
+            if (item.id.startsWith(HEADER_ID_PREFIX) || !shown.has(item.id)) unique.push(item);
+            else duplicates.push(item);
+        }
+
+        if (duplicates.length === 0) return items;
+        console.log(`Slot ${slot.alias}: ${mode === DuplicateMode.DROP ? 'dropped' : 'pushed down'} ${duplicates.length} titles shown in earlier slots`);
+        return mode === DuplicateMode.DROP ? unique : [...unique, ...duplicates];
+    }
+
+    /**
+     * Applies the duplicate mode setting to the slots after a freshly refreshed one (in configured
+     * order), so they give up the titles it now shows.
+     * @param slot The refreshed slot.
+     */
+    private static removeLaterDuplicates(slot: CatalogSlot) {
+        if ((ConfigStore.getSettings().duplicateMode || DuplicateMode.OFF) === DuplicateMode.OFF) return;
+
+        const slots = ConfigStore.getSlots();
+        for (const later of slots.slice(slots.indexOf(slot) + 1)) {
+            if (later.currentSelection) later.currentSelection.items = this.removeDuplicates(later, later.currentSelection.items);
+        }
+    }
+
+    /**
+     * Picks the index of the next list to try from the pool, according to the slot's rotation mode.
+     * The pool is already filtered by exclusivity and shrinks as lists fail, so every mode
+     * falls back to the remaining lists rather than failing.
+     * @param slot The catalog slot.
+     * @param pool The candidate lists.
+     * @returns The index into `pool`, or -1 if no list in it has a weight above 0.
+     */
+    private static pickNextIndex(slot: CatalogSlot, pool: SourceList[]): number {
+        const weighted = (candidates: SourceList[]) => {
+            const index = this.pickWeightedIndex(candidates.map(l => this.getListWeight(slot, l)));
+            return index === -1 ? -1 : pool.indexOf(candidates[index]);
+        };
+
+        switch (slot.rotationMode) {
+            case RotationMode.SEQUENTIAL: {
+                // Walk listIds from the list after the cursor, wrapping around
+                const order = slot.listIds;
+                const start = order.indexOf(slot.rotationState?.cursor || '') + 1;
+                for (let i = 0; i < order.length; i++) {
+                    const index = pool.findIndex(l => l.id === order[(start + i) % order.length]);
+                    if (index !== -1) return index;
+                }
+                return 0;
+            }
+            case RotationMode.ROUND_ROBIN: {
+                let queue = (slot.rotationState?.queue || []).filter(id => slot.listIds.includes(id));
+                if (!queue.some(id => pool.some(l => l.id === id))) {
+                    // Cycle finished (or nothing left in it is eligible): start a new shuffled cycle
+                    queue = this.shuffle(this.getSlotLists(slot).map(l => l.id));
+                    console.log(`Slot ${slot.alias} starting a new round-robin cycle`);
+                }
+                slot.rotationState = { ...slot.rotationState, queue };
+                const nextId = queue.find(id => pool.some(l => l.id === id));
+                return Math.max(0, pool.findIndex(l => l.id === nextId));
+            }
+            case RotationMode.NO_REPEAT: {
+                const count = slot.noRepeatCount ?? DEFAULT_NO_REPEAT_COUNT;
+                const recent = (slot.history || []).slice(0, count).map(h => h.listId);
+                const fresh = pool.filter(l => !recent.includes(l.id));
+                if (fresh.length === 0) {
+                    console.warn(`Slot ${slot.alias} has no lists outside its last ${count} picks. Allowing repeats.`);
+                    return weighted(pool);
+                }
+                return weighted(fresh);
+            }
+            default:
+                return weighted(pool);
+        }
+    }
+
+    /**
+     * Records a successful pick: updates the rotation history and the cursor/queue of the slot's rotation mode.
+     * @param slot The catalog slot.
+     * @param list The list that was picked.
+     * @param listName The display name of the picked list.
+     */
+    private static advanceRotation(slot: CatalogSlot, list: SourceList, listName: string) {
+        const historySize = Math.max(MAX_ROTATION_HISTORY, slot.noRepeatCount || 0);
+        slot.history = [
+            { listId: list.id, name: listName, timestamp: Date.now() },
+            ...(slot.history || [])
+        ].slice(0, historySize);
+
+        if (slot.rotationMode === RotationMode.SEQUENTIAL) {
+            slot.rotationState = { ...slot.rotationState, cursor: list.id };
+        } else if (slot.rotationMode === RotationMode.ROUND_ROBIN) {
+            const queue = slot.rotationState?.queue || [];
+            slot.rotationState = { ...slot.rotationState, queue: queue.filter(id => id !== list.id) };
+        }
+    }
+
+    /**
+     * Gets the effective selection weight of a list within a slot.
+     * A per-slot override wins over the list's own weight.
+     * @param slot The catalog slot.
+     * @param list The source list.
+     * @returns The weight (never negative).
+     */
+    static getListWeight(slot: CatalogSlot, list: SourceList): number {
+        const weight = slot.listWeights?.[list.id] ?? list.weight ?? DEFAULT_LIST_WEIGHT;
+        return Math.max(0, Number(weight) || 0);
+    }
+
+    /**
+     * Picks a random index with probability proportional to its weight. Zero weights are never picked.
+     * @param weights The weights, one per candidate.
+     * @returns The picked index, or -1 if every weight is zero.
+     */
+    private static pickWeightedIndex(weights: number[]): number {
+        const total = weights.reduce((sum, w) => sum + w, 0);
+        if (total <= 0) return -1;
+
+        let roll = Math.random() * total;
+        let last = -1;
+        for (let i = 0; i < weights.length; i++) {
+            if (weights[i] <= 0) continue;
+            roll -= weights[i];
+            if (roll < 0) return i;
+            last = i;
+        }
+        return last; // Rounding left a remainder: the last weighted candidate
+    }
+
+    /**
+     * Fetches a page of items from a source list, ready to be shown. The list's `limit` is used as the page size.
+     * Items failing the list's filters (and watched items, when hidden) are removed before shuffling, and
+     * further upstream pages are fetched (up to MAX_TOP_UP_PAGES) until the page is full again.
      * @param list The source list to fetch items from.
-     * @returns A promise that resolves to an object containing the items and list name.
+     * @param page The 1-based upstream page to start from.
+     * @param hideWatched Whether to drop titles the user has already watched.
+     * @returns A promise that resolves to the items, list name, whether more pages exist and the last upstream page fetched.
      */
-    private static async fetchListItems(list: SourceList): Promise<{ items: any[], listName: string }> {
+    private static async fetchListItems(list: SourceList, page: number = 1, hideWatched: boolean = !!list.hideWatched): Promise<{ items: any[], listName: string, hasMore: boolean, page: number }> {
+        let { items, listName, hasMore } = await this.fetchSourcePage(list, page);
+
+        const filters = FilterService.hasFilters(list.filters) ? list.filters : undefined;
+        if (hideWatched || filters) {
+            const limit = list.limit || DEFAULT_ITEM_LIMIT;
+            const watched = hideWatched ? await WatchHistoryService.getWatchedIds(list.contentType || ContentType.MOVIE) : new Set<string>();
+            const keep = (item: any) => !watched.has(item.id) && (!filters || FilterService.matches(item.details, filters));
+
+            const fetched = items.length;
+            items = items.filter(keep);
+
+            const lastPage = page + MAX_TOP_UP_PAGES;
+            while (items.length < limit && hasMore && page < lastPage) {
+                page++;
+                const next = await this.fetchSourcePage(list, page);
+                const seen = new Set(items.map(i => i.id));
+                items.push(...next.items.filter(i => keep(i) && !seen.has(i.id)));
+                hasMore = next.hasMore && next.items.length > 0;
+            }
+
+            if (items.length < fetched) {
+                console.log(`List ${list.alias}: filtered items (${items.length} left after ${page} pages)`);
+            }
+        }
+
+        // Filter metadata is not part of the stored preview
+        items = items.map(({ details, ...item }: { details?: ItemDetails }) => item);
+
+        // --- RPDB Integration ---
+        items = RpdbService.enrichItems(items);
+
+        if (list.shuffle) {
+            items = this.shuffle(items);
+        }
+
+        return { items, listName, hasMore, page };
+    }
+
+    /**
+     * Fetches a single upstream page of items from a source list, mapped to meta previews.
+     * @param list The source list to fetch items from.
+     * @param page The 1-based page to fetch.
+     * @param chain The composite lists being resolved (outermost first), to detect cycles.
+     * @returns A promise that resolves to an object containing the items, list name and whether more pages exist.
+     */
+    private static async fetchSourcePage(list: SourceList, page: number, chain: string[] = []): Promise<{ items: any[], listName: string, hasMore: boolean }> {
         let items: any[] = [];
         let listName = 'Random List';
+        let hasMore = false;
         const limit = list.limit || DEFAULT_ITEM_LIMIT;
 
         if (list.type === SourceType.TRAKT_USER_LIST) {
             const { username, listId } = list.config;
             listName = list.alias; // Use alias for user lists
-            const listItems = await traktService.getListItems(username, listId, limit);
+            const listItems = await traktService.getListItems(username, listId, limit, page);
+            hasMore = listItems.length >= limit;
             items = listItems.map((i: any) => ({
                 id: i.movie?.ids?.imdb || i.show?.ids?.imdb || '',
                 type: i.type === 'show' ? ContentType.SERIES : i.type,
                 name: i.movie?.title || i.show?.title,
                 poster: i.movie?.images?.poster?.[0] || '',
-                description: i.movie?.overview || i.show?.overview
-            })).filter((i: any) => i.id);
+                description: i.movie?.overview || i.show?.overview,
+                details: this.getTraktDetails(i.movie || i.show || {}),
+                externalIds: { tmdb: (i.movie || i.show)?.ids?.tmdb, tvdb: (i.movie || i.show)?.ids?.tvdb }
+            }));
         } else if (list.type === SourceType.DEFAULT_LIST) {
             const listType = list.config.listType || 'trending';
 
@@ -214,10 +893,17 @@ export class CatalogService {
                 }
 
                 // Limit items
-                items = imdbItems.slice(0, limit);
+                items = imdbItems.slice((page - 1) * limit, page * limit);
+                hasMore = imdbItems.length > page * limit;
             } else {
                 // Standard Trakt
-                const rawItems = await traktService.getDefaultList(listType, list.contentType || ContentType.MOVIE, limit);
+                const rawItems = await traktService.getDefaultList(listType, list.contentType || ContentType.MOVIE, limit, page, {
+                    listId: list.config.listId,
+                    period: list.config.period,
+                    filters: list.filters,
+                    selectionKey: list.id
+                });
+                hasMore = rawItems.length >= limit;
                 const kindLabel = list.contentType === ContentType.SERIES ? 'Series' : 'Movies';
                 listName = `${list.config.listTypeLabel || 'List'}`;
 
@@ -225,60 +911,316 @@ export class CatalogService {
                     const item = i.movie || i.show || i;
                     return {
                         id: item.ids?.imdb || '',
-                        type: item.title === 'show' ? ContentType.SERIES : ContentType.MOVIE,
+                        type: i.show || list.contentType === ContentType.SERIES ? ContentType.SERIES : ContentType.MOVIE,
                         name: item.title,
-                        description: item.overview || ''
+                        description: item.overview || '',
+                        details: this.getTraktDetails(item),
+                        externalIds: { tmdb: item.ids?.tmdb, tvdb: item.ids?.tvdb }
                     };
-                }).filter((i: any) => i.id);
+                });
             }
 
         } else if (list.type === SourceType.MDBLIST_LIST) {
             // Pass full config (might contain listId, or username/listName)
-            const listData = await mdbListService.getListItems(list.config, limit);
+            const listData = await mdbListService.getListItems(list.config, limit, page);
+            hasMore = listData.length >= limit;
             listName = list.alias; // Use alias for user lists
             items = listData.map((i: any) => ({
-                id: i.imdb_id,
+                id: i.imdb_id || '',
                 type: i.mediatype === 'show' ? ContentType.SERIES : i.mediatype,
                 name: i.title,
                 poster: i.poster,
-                description: i.description || ''
+                description: i.description || '',
+                details: { year: i.release_year, language: i.language },
+                externalIds: { tmdb: i.id, tvdb: i.tvdb_id }
             }));
         } else if (list.type === SourceType.PLEX_COLLECTION) {
-            items = await plexService.getListItems(list.config.collectionId, limit);
+            const contentType = list.contentType || ContentType.MOVIE;
+            ({ items, hasMore } = await plexService.getListItems(plexService.getListKey(list.config, contentType), contentType, limit, page, list.config.serverId));
+            listName = list.alias; // Use user-defined alias
+        } else if (list.type === SourceType.TMDB_LIST) {
+            ({ items, hasMore } = await tmdbService.getListItems(list.config as TmdbListConfig, list.contentType || ContentType.MOVIE, limit, page));
+            listName = list.alias;
+        } else if (list.type === SourceType.LETTERBOXD_LIST) {
+            ({ items, hasMore } = await letterboxdService.getListItems(list.config, limit, page));
+            listName = list.alias;
+        } else if (list.type === SourceType.JELLYFIN_COLLECTION) {
+            ({ items, hasMore } = await jellyfinService.getListItems(list.config.collectionId, list.contentType || ContentType.MOVIE, limit, page));
             listName = list.alias; // Use user-defined alias
+        } else if (list.type === SourceType.CUSTOM_LIST) {
+            const contentType = list.contentType || ContentType.MOVIE;
+            const entries: CustomListItem[] = (list.config.items || []).filter((i: CustomListItem) => i.type === contentType);
+            items = entries.slice((page - 1) * limit, page * limit).map(i => ({
+                id: i.id,
+                type: i.type,
+                name: i.name,
+                poster: i.poster || `https://images.metahub.space/poster/medium/${i.id}/img`,
+                details: { year: i.year }
+            }));
+            hasMore = entries.length > page * limit;
+            listName = list.alias;
+        } else if (list.type === SourceType.ADDON_CATALOG) {
+            ({ items, hasMore } = await addonCatalogService.getListItems(list.config as AddonCatalogConfig, limit, page));
+            listName = list.alias;
+        } else if (list.type === SourceType.COMPOSITE_LIST) {
+            const entries = await this.resolveComposite(list, chain);
+            items = entries.slice((page - 1) * limit, page * limit);
+            hasMore = entries.length > page * limit;
+            listName = list.alias;
         }
 
-        // --- RPDB Integration ---
-        items = RpdbService.enrichItems(items);
+        // Composite lists reuse their sources' resolved items
+        if (list.type !== SourceType.COMPOSITE_LIST) {
+            const resolved = await idResolverService.resolveItems(items, list.contentType || ContentType.MOVIE);
+            items = resolved.items;
+            this.recordUnresolved(list, page, resolved.unresolved);
+        }
 
-        if (list.shuffle) {
-            // Fisher-Yates Shuffle
-            for (let i = items.length - 1; i > 0; i--) {
-                const j = Math.floor(Math.random() * (i + 1));
-                [items[i], items[j]] = [items[j], items[i]];
-            }
+        return { items, listName, hasMore };
+    }
+
+    /**
+     * Remembers the titles of a list that have no IMDB id. The first page replaces what earlier
+     * fetches found; later pages add to it.
+     * @param list The source list.
+     * @param page The 1-based page the titles come from.
+     * @param titles The unresolved titles.
+     */
+    private static recordUnresolved(list: SourceList, page: number, titles: string[]) {
+        const key = `${ConfigStore.getProfileToken()}:${list.id}`;
+        const previous = page === 1 ? [] : this.unresolvedTitles.get(key) || [];
+        const merged = Array.from(new Set([...previous, ...titles]));
+        if (merged.length > 0) {
+            this.unresolvedTitles.set(key, merged);
+        } else {
+            this.unresolvedTitles.delete(key);
         }
+        if (titles.length > 0) {
+            console.log(`List ${list.alias}: ${titles.length} titles without an IMDB id on page ${page}`);
+        }
+    }
 
-        return { items, listName };
+    /**
+     * Gets the titles each list of the active profile could not resolve to an IMDB id, as of its latest fetch.
+     * @returns The titles, by list ID (lists without unresolved titles are left out).
+     */
+    static getUnresolvedTitles(): Record<string, string[]> {
+        const prefix = `${ConfigStore.getProfileToken()}:`;
+        const result: Record<string, string[]> = {};
+        for (const list of ConfigStore.getLists()) {
+            const titles = this.unresolvedTitles.get(prefix + list.id);
+            if (titles) result[list.id] = titles;
+        }
+        return result;
     }
 
     /**
-     * Creates a header item for a catalog slot.
+     * Computes every item of a composite list from its source lists (resolving nested composites),
+     * de-duplicated by id. Results are cached for COMPOSITE_CACHE_MS.
+     * @param list The composite list.
+     * @param chain The composite lists being resolved (outermost first), to detect cycles.
+     * @returns A promise that resolves to the items, with filter details.
+     */
+    private static async resolveComposite(list: SourceList, chain: string[]): Promise<any[]> {
+        const lists = ConfigStore.getData().lists;
+        if (chain.includes(list.id)) {
+            const names = [...chain, list.id].map(id => lists.find(l => l.id === id)?.alias || id);
+            throw new Error(`Composite list cycle: ${names.join(' → ')}`);
+        }
+
+        const cacheKey = `${ConfigStore.getProfileToken()}:${list.id}`;
+        const configKey = this.getCompositeConfigKey(list);
+        const cached = this.compositeCache.get(cacheKey);
+        if (cached && cached.expires > Date.now() && cached.configKey === configKey) return cached.items;
+
+        const sets: any[][] = [];
+        for (const id of list.config.listIds || []) {
+            const source = lists.find(l => l.id === id);
+            if (!source) throw new Error(`Composite list ${list.alias} uses a deleted list (${id})`);
+            sets.push(await this.fetchAllItems(source, [...chain, list.id]));
+        }
+
+        const items = this.combineItems(list.config.operation, sets);
+        console.log(`Composite list ${list.alias}: ${items.length} items from ${sets.length} lists (${list.config.operation})`);
+        this.compositeCache.set(cacheKey, { items, configKey, expires: Date.now() + COMPOSITE_CACHE_MS });
+        return items;
+    }
+
+    /**
+     * Builds the cache key of a composite list's settings: its own config and everything of its
+     * source lists (nested composites included) that changes their items.
+     * @param list The composite list.
+     * @param visited The composite lists already included, to stop at cycles.
+     * @returns The key.
+     */
+    private static getCompositeConfigKey(list: SourceList, visited: Set<string> = new Set()): string {
+        visited.add(list.id);
+        const lists = ConfigStore.getData().lists;
+        const sources = (list.config.listIds || []).map((id: string) => {
+            const source = lists.find(l => l.id === id);
+            if (!source) return null;
+            const { type, config, filters, limit, contentType } = source;
+            return type === SourceType.COMPOSITE_LIST && !visited.has(source.id)
+                ? this.getCompositeConfigKey(source, visited)
+                : JSON.stringify({ id: source.id, type, config, filters, limit, contentType });
+        });
+        return JSON.stringify({ config: list.config, filters: list.filters, limit: list.limit, sources });
+    }
+
+    /**
+     * Reads up to MAX_COMPOSITE_SOURCE_ITEMS items of a list, applying its item filters.
+     * @param list The source list.
+     * @param chain The composite lists being resolved, to detect cycles.
+     * @returns A promise that resolves to the items.
+     */
+    private static async fetchAllItems(list: SourceList, chain: string[]): Promise<any[]> {
+        const limit = list.limit || DEFAULT_ITEM_LIMIT;
+        const maxPages = Math.ceil(MAX_COMPOSITE_SOURCE_ITEMS / limit);
+        const items: any[] = [];
+
+        for (let page = 1; page <= maxPages; page++) {
+            const next = await this.fetchSourcePage(list, page, chain);
+            items.push(...next.items);
+            if (!next.hasMore || next.items.length === 0) break;
+        }
+
+        const filters = list.filters;
+        return filters && FilterService.hasFilters(filters) ? items.filter(i => FilterService.matches(i.details, filters)) : items;
+    }
+
+    /**
+     * Combines the items of a composite list's sources, keeping the order of the first list
+     * (then of the others, for unions) and dropping duplicate ids.
+     * @param operation The set operation.
+     * @param sets The items of each source list, in config order.
+     * @returns The combined items.
+     */
+    private static combineItems(operation: CompositeOperation, sets: any[][]): any[] {
+        const [first = [], ...others] = sets;
+        const otherIds = others.map(set => new Set(set.map(i => i.id)));
+
+        let items: any[];
+        if (operation === CompositeOperation.INTERSECTION) {
+            items = first.filter(i => otherIds.every(ids => ids.has(i.id)));
+        } else if (operation === CompositeOperation.DIFFERENCE) {
+            items = first.filter(i => !otherIds.some(ids => ids.has(i.id)));
+        } else {
+            items = sets.flat();
+        }
+
+        const seen = new Set<string>();
+        return items.filter(i => i.id && !seen.has(i.id) && seen.add(i.id));
+    }
+
+    /**
+     * Extracts filter metadata from a Trakt movie or show fetched with `extended=full`.
+     * @param item The Trakt movie or show.
+     * @returns The item details.
+     */
+    private static getTraktDetails(item: any): ItemDetails {
+        return {
+            rating: item.rating,
+            year: item.year,
+            genres: item.genres,
+            runtime: item.runtime,
+            certification: item.certification,
+            language: item.language
+        };
+    }
+
+    /**
+     * Checks whether watched titles are hidden for a list within a slot (set on either).
+     * @param slot The catalog slot.
+     * @param list The source list.
+     * @returns True if watched titles should be hidden.
+     */
+    private static shouldHideWatched(slot: CatalogSlot, list: SourceList): boolean {
+        return !!(slot.hideWatched || list.hideWatched);
+    }
+
+    /**
+     * Shuffles an array in place (Fisher-Yates).
+     * @param array The array to shuffle.
+     * @returns The same array, shuffled.
+     */
+    private static shuffle<T>(array: T[]): T[] {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+
+    /**
+     * Creates a header item for a catalog slot. Its poster is rendered by the addon's `/header/:slotId.svg`
+     * route and stored as a relative URL (see `resolveHeaderPoster`).
      * @param slot The catalog slot to create a header for.
      * @param listName The name of the list to display in the header.
+     * @param source The source key shown as a logo (see HeaderPosterService).
+     * @param itemCount The number of items fetched so far.
+     * @param hasMore Whether the list has further pages (shown as "50+").
      * @returns The header item object.
      */
-    private static createHeaderItem(slot: CatalogSlot, listName: string) {
+    private static createHeaderItem(slot: CatalogSlot, listName: string, source?: string, itemCount?: number, hasMore: boolean = false) {
+        const params = new URLSearchParams({ name: listName });
+        if (source) params.set('source', source);
+        if (itemCount !== undefined) params.set('count', `${itemCount}${hasMore ? '+' : ''}`);
+
         return {
-            id: `shufflist_header_${slot.id}_${Date.now()}`,
+            id: `${HEADER_ID_PREFIX}${slot.id}_${Date.now()}`,
             type: ContentType.MOVIE,
             name: listName,
             description: `Currently displaying: ${listName}`,
-            poster: `https://placehold.co/600x900/7B5BF5/ffffff/png?text=${encodeURIComponent(listName.split(" ").join("\n"))}&font=PT Sans`,
+            poster: `header/${slot.id}.svg?${params}`,
             background: ''
         };
     }
 
+    /**
+     * Turns a header item's relative poster URL into an absolute one under the active profile,
+     * tagged with the slot's theme version so clients re-fetch it after theme changes.
+     * Other items (and headers stored with an absolute poster URL) are returned unchanged.
+     * @param slot The catalog slot.
+     * @param item The item.
+     * @param baseUrl The public base URL of the addon.
+     * @returns The item with a resolved poster.
+     */
+    private static resolveHeaderPoster(slot: CatalogSlot, item: MetaPreview, baseUrl: string): MetaPreview {
+        if (!item.id.startsWith(HEADER_ID_PREFIX) || !item.poster || /^https?:/.test(item.poster)) return item;
+
+        const version = HeaderPosterService.getThemeVersion(slot.headerTheme);
+        return { ...item, poster: `${baseUrl}${this.getProfilePath()}/${item.poster}&v=${version}` };
+    }
+
+    /**
+     * Gets the path prefix of the active profile's addon routes.
+     * @returns `/<token>`, or an empty string for the default profile.
+     */
+    private static getProfilePath(): string {
+        const token = ConfigStore.getProfileToken();
+        return token === DEFAULT_PROFILE ? '' : `/${token}`;
+    }
+
+    /**
+     * Gets the source key of a list, used to pick the logo on header posters.
+     * @param list The source list.
+     * @returns The source key.
+     */
+    private static getSourceKey(list: SourceList): string {
+        switch (list.type) {
+            case SourceType.MDBLIST_LIST: return 'mdblist';
+            case SourceType.PLEX_COLLECTION: return 'plex';
+            case SourceType.TMDB_LIST: return 'tmdb';
+            case SourceType.LETTERBOXD_LIST: return 'letterboxd';
+            case SourceType.JELLYFIN_COLLECTION: return 'jellyfin';
+            case SourceType.CUSTOM_LIST: return 'custom';
+            case SourceType.ADDON_CATALOG: return 'addon';
+            case SourceType.COMPOSITE_LIST: return 'merged';
+            case SourceType.DEFAULT_LIST: return list.config.listType === 'imdb_top' ? 'imdb' : 'trakt';
+            default: return 'trakt';
+        }
+    }
+
     /**
      * Formats a failure reason based on the error message.
      * @param message The error message to format.
@@ -293,15 +1235,19 @@ export class CatalogService {
     }
 
     /**
-     * Refreshes all slots in the configuration store.
+     * Refreshes all slots in the configuration store, or only the given ones.
+     * @param slotIds Optional IDs limiting the batch (e.g. slots that inherit the global schedule).
      * @returns An array of refresh results for each slot.
      */
-    static async refreshAllSlots() {
-        console.log("Refreshing ALL slots...");
-        const validSlots = ConfigStore.getSlots().filter(s => s.listIds.length > 0);
+    static async refreshAllSlots(slotIds?: string[]) {
+        console.log(slotIds ? `Refreshing ${slotIds.length} slots...` : "Refreshing ALL slots...");
+        const validSlots = ConfigStore.getSlots().filter(s => s.listIds.length > 0 && (!slotIds || slotIds.includes(s.id)));
 
-        // Sort by least number of available lists first to prioritize restricted slots
-        validSlots.sort((a, b) => a.listIds.length - b.listIds.length);
+        // Sort by least number of available lists first to prioritize restricted slots.
+        // With duplicate removal on, keep the configured order instead: earlier slots keep shared titles.
+        if ((ConfigStore.getSettings().duplicateMode || DuplicateMode.OFF) === DuplicateMode.OFF) {
+            validSlots.sort((a, b) => a.listIds.length - b.listIds.length);
+        }
 
         // Clear all current selections first so they don't influence the random selection of earlier slots
         // This ensures the exclusivity logic works on a "blank slate" for the batch
@@ -363,13 +1309,76 @@ export class CatalogService {
             if (updates.listIds) {
                 slot.listIds = updates.listIds;
                 // Check if current selection is still valid
-                if (slot.currentSelection?.sourceId && !slot.listIds.includes(slot.currentSelection.sourceId)) {
+                if (this.getSelectionListIds(slot.currentSelection).some(listId => !slot.listIds.includes(listId))) {
                     shouldRefresh = true;
                 }
             }
 
             if (updates.type) slot.type = updates.type;
 
+            if (updates.schedule !== undefined) {
+                // null/empty = inherit the global schedule
+                const { intervalHours, cron } = updates.schedule || {};
+                if (cron && cron.trim()) {
+                    slot.schedule = { cron: cron.trim() };
+                } else if (Number(intervalHours) > 0) {
+                    slot.schedule = { intervalHours: Math.floor(Number(intervalHours)) };
+                } else {
+                    slot.schedule = undefined;
+                }
+            }
+
+            if (updates.mergeStrategy !== undefined && (updates.mergeStrategy || undefined) !== slot.mergeStrategy) {
+                // null/empty = show a single list
+                slot.mergeStrategy = updates.mergeStrategy || undefined;
+                shouldRefresh = true;
+            }
+
+            if (updates.mergeCount !== undefined) {
+                const count = Number(updates.mergeCount);
+                if (!isNaN(count) && count >= 0) slot.mergeCount = Math.floor(count);
+            }
+
+            if (updates.hideWatched !== undefined && !!updates.hideWatched !== !!slot.hideWatched) {
+                slot.hideWatched = !!updates.hideWatched;
+                shouldRefresh = true;
+            }
+
+            if (updates.headerPosition && Object.values(HeaderPosition).includes(updates.headerPosition)) {
+                slot.headerPosition = updates.headerPosition;
+            }
+
+            if (updates.headerTheme !== undefined) {
+                // null = default theme
+                const theme = HeaderPosterService.sanitizeTheme(updates.headerTheme);
+                slot.headerTheme = Object.keys(theme).length > 0 ? theme : undefined;
+            }
+
+            if (updates.rotationMode && updates.rotationMode !== slot.rotationMode) {
+                slot.rotationMode = updates.rotationMode;
+                slot.rotationState = undefined; // Start the new mode fresh
+            }
+
+            if (updates.noRepeatCount !== undefined) {
+                const count = Number(updates.noRepeatCount);
+                if (!isNaN(count) && count >= 0) slot.noRepeatCount = Math.floor(count);
+            }
+
+            if (updates.listCalendars) {
+                slot.listCalendars = Object.fromEntries(
+                    Object.entries(updates.listCalendars).filter(([listId, rule]) => slot.listIds.includes(listId) && rule)
+                );
+            }
+
+            if (updates.listWeights) {
+                // Only keep valid overrides for lists in the pool
+                slot.listWeights = Object.fromEntries(
+                    Object.entries(updates.listWeights)
+                        .map(([listId, weight]) => [listId, Number(weight)] as [string, number])
+                        .filter(([listId, weight]) => slot.listIds.includes(listId) && !isNaN(weight) && weight >= 0)
+                );
+            }
+
             await ConfigStore.saveConfig();
 
             if (shouldRefresh) {
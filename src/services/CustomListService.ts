@@ -0,0 +1,311 @@
+/**
+ * CustomListService.ts
+ *
+ * Custom (Shufflist-hosted) List Import.
+ *
+ * Responsibilities:
+ * 1. Parses pasted IMDB ids / URLs and uploaded CSV or JSON files (IMDb, Trakt and Letterboxd
+ *    exports, or any file with id / title / year columns) into list entries.
+ * 2. Resolves entries to IMDB ids, names and types using Stremio's Cinemeta addon, so custom list
+ *    items render as proper meta previews.
+ * 3. Validates the items stored in a custom list's config.
+ */
+import axios from 'axios';
+import { ContentType, CustomListItem } from '../store/ConfigStore';
+
+const CINEMETA_URL = 'https://v3-cinemeta.strem.io';
+const IMDB_ID_PATTERN = /tt\d{7,}/g;
+// Parallel Cinemeta lookups per batch
+const LOOKUP_CONCURRENCY = 5;
+// Largest import handled at once
+const MAX_IMPORT_ITEMS = 2000;
+
+// Lower-cased CSV / JSON field names, by meaning
+const ID_FIELDS = ['const', 'imdb_id', 'imdb', 'imdbid', 'imdb id', 'tconst', 'id'];
+const TITLE_FIELDS = ['title', 'name', 'primarytitle', 'original title'];
+const YEAR_FIELDS = ['year', 'release_year', 'startyear', 'release year'];
+const TYPE_FIELDS = ['title type', 'titletype', 'type', 'media_type', 'mediatype'];
+const URL_FIELDS = ['url', 'imdb url', 'link'];
+
+interface ImportEntry {
+    id?: string; // IMDB id, when the source has one
+    title?: string;
+    year?: number;
+    type?: ContentType;
+}
+
+export class CustomListService {
+    private static cache = new Map<string, CustomListItem | null>(); // IMDB id or 'title|year|type' -> item
+
+    /**
+     * Parses pasted text or an uploaded file and resolves its titles.
+     * @param text The pasted text or file contents.
+     * @param fileName The uploaded file's name, used to pick the format (optional).
+     * @returns A promise that resolves to the resolved items and the entries that could not be resolved.
+     */
+    static async importItems(text: string, fileName: string = ''): Promise<{ items: CustomListItem[], unresolved: string[] }> {
+        const entries = this.parse(text || '', fileName.toLowerCase()).slice(0, MAX_IMPORT_ITEMS);
+        const resolved = await this.resolveEntries(entries);
+
+        const items: CustomListItem[] = [];
+        const unresolved: string[] = [];
+        const seen = new Set<string>();
+        resolved.forEach((item, i) => {
+            if (!item) {
+                const e = entries[i];
+                unresolved.push(e.title ? `${e.title}${e.year ? ` (${e.year})` : ''}` : e.id || '?');
+            } else if (!seen.has(item.id)) {
+                seen.add(item.id);
+                items.push(item);
+            }
+        });
+
+        console.log(`Custom list import: ${items.length} titles resolved, ${unresolved.length} unresolved`);
+        return { items, unresolved };
+    }
+
+    /**
+     * Checks the items of a custom list's config.
+     * @param items The stored items.
+     * @throws If the list is empty or an item is malformed.
+     */
+    static validateItems(items: any) {
+        if (!Array.isArray(items) || items.length === 0) throw new Error("Custom list has no titles");
+        for (const item of items) {
+            if (!item || typeof item.id !== 'string' || !/^tt\d+$/.test(item.id) || typeof item.name !== 'string') {
+                throw new Error(`Invalid custom list item: ${JSON.stringify(item)}`);
+            }
+            if (item.type !== ContentType.MOVIE && item.type !== ContentType.SERIES) {
+                throw new Error(`Invalid type for ${item.name}: ${item.type}`);
+            }
+        }
+    }
+
+    /**
+     * Parses text into entries, picking the format from the file name or the content.
+     * @param text The text.
+     * @param fileName The lower-cased file name.
+     * @returns The entries, in order.
+     */
+    private static parse(text: string, fileName: string): ImportEntry[] {
+        const trimmed = text.trim();
+        if (fileName.endsWith('.json') || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+            try {
+                return this.parseJson(JSON.parse(trimmed));
+            } catch (e: any) {
+                if (fileName.endsWith('.json')) throw new Error(`Invalid JSON file: ${e.message}`);
+            }
+        }
+
+        if (fileName.endsWith('.csv') || fileName.endsWith('.tsv') || /^[^\n]*[,\t][^\n]*\n/.test(trimmed)) {
+            const entries = this.parseCsv(trimmed);
+            if (entries.length) return entries;
+        }
+
+        // Plain text: every IMDB id (bare or in a URL), in order
+        return Array.from(new Set(trimmed.match(IMDB_ID_PATTERN) || [])).map(id => ({ id }));
+    }
+
+    /**
+     * Parses a JSON export: an array (or an object with an `items` array) of Trakt-style
+     * `{ type, movie | show: { title, year, ids } }` entries or flat objects.
+     * @param data The parsed JSON.
+     * @returns The entries.
+     */
+    private static parseJson(data: any): ImportEntry[] {
+        const rows = Array.isArray(data) ? data : (data.items || data.movies || data.shows || []);
+        if (!Array.isArray(rows)) throw new Error("Expected an array of titles");
+
+        return rows.map((row: any): ImportEntry => {
+            if (typeof row === 'string') return { id: row.match(IMDB_ID_PATTERN)?.[0] };
+            const media = row.movie || row.show;
+            if (media) {
+                return {
+                    id: media.ids?.imdb,
+                    title: media.title,
+                    year: media.year,
+                    type: row.show ? ContentType.SERIES : ContentType.MOVIE
+                };
+            }
+            return this.toEntry(Object.fromEntries(Object.entries(row).map(([k, v]) => [k.toLowerCase(), v])));
+        }).filter((e: ImportEntry) => e.id || e.title);
+    }
+
+    /**
+     * Parses a CSV (or tab separated) export with a header row.
+     * @param text The CSV text.
+     * @returns The entries, or none if the header has no id, title or URL column.
+     */
+    private static parseCsv(text: string): ImportEntry[] {
+        const delimiter = text.split('\n')[0].includes('\t') ? '\t' : ',';
+        const [header, ...rows] = this.splitCsv(text, delimiter);
+        if (!header) return [];
+
+        const columns = header.map(h => h.trim().toLowerCase());
+        if (![...ID_FIELDS, ...TITLE_FIELDS, ...URL_FIELDS].some(f => columns.includes(f))) return [];
+
+        return rows
+            .map(cells => this.toEntry(Object.fromEntries(columns.map((c, i) => [c, cells[i]]))))
+            .filter(e => e.id || e.title);
+    }
+
+    /**
+     * Converts a row (lower-cased field names) into an entry.
+     * @param row The row.
+     * @returns The entry.
+     */
+    private static toEntry(row: Record<string, any>): ImportEntry {
+        const pick = (fields: string[]) => fields.map(f => row[f]).find(v => v !== undefined && v !== null && v !== '');
+
+        const idValue = [pick(ID_FIELDS), pick(URL_FIELDS)].map(v => String(v ?? '').match(IMDB_ID_PATTERN)?.[0]).find(v => v);
+        const year = parseInt(pick(YEAR_FIELDS));
+        return {
+            id: idValue,
+            title: pick(TITLE_FIELDS)?.toString().trim(),
+            year: isNaN(year) ? undefined : year,
+            type: this.toContentType(pick(TYPE_FIELDS))
+        };
+    }
+
+    /**
+     * Maps the title types used by IMDb, Trakt and TMDB exports to a content type.
+     * @param value The title type, e.g. 'Movie', 'tvSeries', 'TV Mini Series', 'show'.
+     * @returns The content type, or undefined if unknown.
+     */
+    private static toContentType(value: any): ContentType | undefined {
+        const type = String(value ?? '').toLowerCase().replace(/[^a-z]/g, '');
+        if (!type) return undefined;
+        if (['show', 'tv', 'series', 'tvseries', 'tvminiseries', 'miniseries'].includes(type)) return ContentType.SERIES;
+        if (['movie', 'film', 'tvmovie', 'video', 'tvspecial', 'short'].includes(type)) return ContentType.MOVIE;
+        return undefined;
+    }
+
+    /**
+     * Splits CSV text into rows of cells, honouring quoted fields (RFC 4180).
+     * @param text The CSV text.
+     * @param delimiter The cell delimiter.
+     * @returns The rows.
+     */
+    private static splitCsv(text: string, delimiter: string): string[][] {
+        const rows: string[][] = [];
+        let row: string[] = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    cell += ch;
+                }
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                if (row.some(c => c.trim())) rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+        row.push(cell);
+        if (row.some(c => c.trim())) rows.push(row);
+        return rows;
+    }
+
+    /**
+     * Resolves entries to items with Cinemeta. Lookups are cached.
+     * @param entries The entries.
+     * @returns A promise that resolves to the items (null when unresolved), in the same order.
+     */
+    private static async resolveEntries(entries: ImportEntry[]): Promise<(CustomListItem | null)[]> {
+        const results: (CustomListItem | null)[] = new Array(entries.length).fill(null);
+
+        for (let i = 0; i < entries.length; i += LOOKUP_CONCURRENCY) {
+            await Promise.all(entries.slice(i, i + LOOKUP_CONCURRENCY).map(async (entry, j) => {
+                // Exports such as IMDb's already carry everything needed
+                if (entry.id && entry.title && entry.type) {
+                    results[i + j] = { id: entry.id, type: entry.type, name: entry.title, year: entry.year };
+                    return;
+                }
+
+                const key = entry.id || `${entry.title?.toLowerCase()}|${entry.year || ''}|${entry.type || ''}`;
+                if (!this.cache.has(key)) {
+                    try {
+                        this.cache.set(key, entry.id ? await this.lookupId(entry) : await this.searchTitle(entry));
+                    } catch (e: any) {
+                        // Not cached: retried on the next import
+                        console.error(`Custom list lookup failed for ${key}:`, e.message);
+                        return;
+                    }
+                }
+                results[i + j] = this.cache.get(key) || null;
+            }));
+        }
+        return results;
+    }
+
+    /**
+     * Looks up an IMDB id on Cinemeta, trying the entry's type first.
+     * @param entry The entry (with an id).
+     * @returns A promise that resolves to the item, or null if Cinemeta does not know the id.
+     */
+    private static async lookupId(entry: ImportEntry): Promise<CustomListItem | null> {
+        const types = entry.type === ContentType.SERIES
+            ? [ContentType.SERIES, ContentType.MOVIE]
+            : [ContentType.MOVIE, ContentType.SERIES];
+
+        for (const type of types) {
+            const res = await axios.get(`${CINEMETA_URL}/meta/${type}/${entry.id}.json`, { validateStatus: s => s < 500 });
+            const meta = res.data?.meta;
+            if (meta?.name) return this.toItem(meta, type);
+        }
+        return null;
+    }
+
+    /**
+     * Searches Cinemeta for an entry that only has a title, preferring a result from the entry's year.
+     * @param entry The entry (with a title).
+     * @returns A promise that resolves to the best match, or null if none.
+     */
+    private static async searchTitle(entry: ImportEntry): Promise<CustomListItem | null> {
+        const types = entry.type ? [entry.type] : [ContentType.MOVIE, ContentType.SERIES];
+
+        for (const type of types) {
+            const res = await axios.get(`${CINEMETA_URL}/catalog/${type}/top/search=${encodeURIComponent(entry.title!)}.json`);
+            const metas: any[] = (res.data?.metas || []).filter((m: any) => m.id?.startsWith('tt'));
+            const match = entry.year
+                ? metas.find(m => parseInt(m.releaseInfo || m.year) === entry.year)
+                : metas[0];
+            if (match) return this.toItem(match, type);
+        }
+        return null;
+    }
+
+    /**
+     * Converts a Cinemeta meta into a stored item.
+     * @param meta The Cinemeta meta.
+     * @param type The content type it was found as.
+     * @returns The item.
+     */
+    private static toItem(meta: any, type: ContentType): CustomListItem {
+        const year = parseInt(meta.releaseInfo || meta.year);
+        return {
+            id: meta.imdb_id || meta.id,
+            type,
+            name: meta.name,
+            year: isNaN(year) ? undefined : year,
+            poster: meta.poster || undefined
+        };
+    }
+}
@@ -0,0 +1,95 @@
+/**
+ * FilterService.ts
+ * 
+ * Item-Level List Filters.
+ * 
+ * Responsibilities:
+ * 1. Checks fetched items against a list's `ItemFilters` (rating, year range, genres, runtime range,
+ *    certification, language) using the metadata each source provides.
+ * 2. Translates filters into Trakt query parameters so Trakt can filter upstream where it supports it.
+ */
+import { ItemFilters } from '../store/ConfigStore';
+
+/** Metadata used by filters. Sources fill in whatever they know; unknown fields never exclude an item. */
+export interface ItemDetails {
+    rating?: number; // 0-10
+    year?: number;
+    genres?: string[];
+    runtime?: number; // Minutes
+    certification?: string;
+    language?: string; // ISO 639-1
+}
+
+export class FilterService {
+
+    /**
+     * Checks whether any filter is set.
+     * @param filters The list's filters.
+     * @returns True if at least one filter would apply.
+     */
+    static hasFilters(filters?: ItemFilters): filters is ItemFilters {
+        if (!filters) return false;
+        return Object.values(filters).some(v => Array.isArray(v) ? v.length > 0 : v !== undefined && v !== null);
+    }
+
+    /**
+     * Checks whether an item passes every filter. Filters on fields the source did not provide are skipped.
+     * @param details The item's metadata.
+     * @param filters The list's filters.
+     * @returns True if the item should be kept.
+     */
+    static matches(details: ItemDetails | undefined, filters: ItemFilters): boolean {
+        const d = details || {};
+
+        if (filters.minRating && d.rating !== undefined && d.rating < filters.minRating) return false;
+        if (filters.minYear && d.year && d.year < filters.minYear) return false;
+        if (filters.maxYear && d.year && d.year > filters.maxYear) return false;
+        if (filters.minRuntime && d.runtime && d.runtime < filters.minRuntime) return false;
+        if (filters.maxRuntime && d.runtime && d.runtime > filters.maxRuntime) return false;
+
+        if (d.genres && d.genres.length > 0) {
+            const genres = d.genres.map(g => this.normalize(g));
+            if (filters.genres?.length && !filters.genres.some(g => genres.includes(this.normalize(g)))) return false;
+            if (filters.excludeGenres?.some(g => genres.includes(this.normalize(g)))) return false;
+        }
+
+        if (filters.certifications?.length && d.certification
+            && !filters.certifications.some(c => this.normalize(c) === this.normalize(d.certification!))) return false;
+        if (filters.languages?.length && d.language
+            && !filters.languages.some(l => l.toLowerCase() === d.language!.toLowerCase())) return false;
+
+        return true;
+    }
+
+    /**
+     * Builds the Trakt filter parameters for a list's filters. Exclusions have no Trakt equivalent
+     * and are applied locally only.
+     * @param filters The list's filters.
+     * @returns The query parameters.
+     */
+    static toTraktParams(filters?: ItemFilters): Record<string, string> {
+        const params: Record<string, string> = {};
+        if (!filters) return params;
+
+        if (filters.minYear || filters.maxYear) {
+            params.years = `${filters.minYear || 1900}-${filters.maxYear || new Date().getFullYear() + 5}`;
+        }
+        if (filters.minRating) params.ratings = `${Math.round(filters.minRating * 10)}-100`;
+        if (filters.minRuntime || filters.maxRuntime) {
+            params.runtimes = `${filters.minRuntime || 0}-${filters.maxRuntime || 1000}`;
+        }
+        if (filters.genres?.length) params.genres = filters.genres.map(g => this.normalize(g)).join(',');
+        if (filters.certifications?.length) params.certifications = filters.certifications.map(c => c.toLowerCase()).join(',');
+        if (filters.languages?.length) params.languages = filters.languages.map(l => l.toLowerCase()).join(',');
+        return params;
+    }
+
+    /**
+     * Normalizes a genre or certification for comparison across sources ("Science Fiction" = "science-fiction").
+     * @param value The raw value.
+     * @returns The normalized value.
+     */
+    private static normalize(value: string): string {
+        return value.toLowerCase().trim().replace(/[^a-z0-9+]+/g, '-');
+    }
+}
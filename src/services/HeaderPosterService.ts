@@ -0,0 +1,165 @@
+/**
+ * HeaderPosterService.ts
+ *
+ * Header Poster Rendering.
+ *
+ * Responsibilities:
+ * 1. Renders the poster of a slot's header item as an SVG, served from the addon's own
+ *    `/header/:slotId.svg` route (no third-party image service).
+ * 2. Applies the slot's `HeaderTheme` (colours, icon, font) and shows the list name,
+ *    source logo and item count.
+ */
+import * as crypto from 'crypto';
+import { HeaderTheme } from '../store/ConfigStore';
+
+export const HEADER_FONTS: Record<string, string> = {
+    sans: "'PT Sans', 'Helvetica Neue', Arial, sans-serif",
+    serif: "Georgia, 'Times New Roman', serif",
+    mono: "'Courier New', Courier, monospace",
+    condensed: "'Roboto Condensed', 'Arial Narrow', sans-serif"
+};
+
+export const DEFAULT_HEADER_THEME: Required<HeaderTheme> = {
+    background: '#7B5BF5',
+    accent: '#4C2FC7',
+    text: '#FFFFFF',
+    icon: '🔀',
+    font: 'sans'
+};
+
+// Source badges drawn in place of the source's logo
+const SOURCE_BADGES: Record<string, { label: string, color: string }> = {
+    trakt: { label: 'trakt', color: '#ED1C24' },
+    mdblist: { label: 'MDBList', color: '#1F8EF1' },
+    imdb: { label: 'IMDb', color: '#F5C518' },
+    plex: { label: 'PLEX', color: '#E5A00D' },
+    tmdb: { label: 'TMDB', color: '#01B4E4' },
+    letterboxd: { label: 'Letterboxd', color: '#FF8000' },
+    jellyfin: { label: 'JELLYFIN', color: '#AA5CC3' },
+    custom: { label: 'MY LIST', color: '#059669' },
+    addon: { label: 'ADDON', color: '#6366F1' },
+    merged: { label: 'MIXED', color: '#374151' }
+};
+
+const WIDTH = 600;
+const HEIGHT = 900;
+const MAX_LINE_CHARS = 14;
+const MAX_LINES = 5;
+
+export interface HeaderPosterContent {
+    name: string; // List name
+    source?: string; // Key of SOURCE_BADGES
+    count?: string; // Item count label, e.g. "50+"
+}
+
+export class HeaderPosterService {
+
+    /**
+     * Renders a header poster.
+     * @param content The list name, source key and item count.
+     * @param theme The slot's theme; missing values fall back to DEFAULT_HEADER_THEME.
+     * @returns The SVG document.
+     */
+    static render(content: HeaderPosterContent, theme: HeaderTheme = {}): string {
+        const t = this.resolveTheme(theme);
+        const font = HEADER_FONTS[t.font] || HEADER_FONTS.sans;
+        const lines = this.wrap(content.name || 'Shufflist');
+        const fontSize = lines.length > 3 ? 60 : 72;
+        const lineHeight = fontSize * 1.15;
+        const textTop = HEIGHT / 2 - ((lines.length - 1) * lineHeight) / 2 + 40;
+
+        const nameLines = lines.map((line, i) =>
+            `<text x="${WIDTH / 2}" y="${textTop + i * lineHeight}" font-size="${fontSize}" font-weight="700" text-anchor="middle" fill="${t.text}">${this.escape(line)}</text>`
+        ).join('');
+
+        const badge = content.source ? SOURCE_BADGES[content.source] : undefined;
+        const badgeSvg = badge
+            ? `<rect x="${WIDTH / 2 - 90}" y="${HEIGHT - 170}" width="180" height="56" rx="28" fill="${badge.color}"/>` +
+            `<text x="${WIDTH / 2}" y="${HEIGHT - 131}" font-size="30" font-weight="700" text-anchor="middle" fill="#FFFFFF">${badge.label}</text>`
+            : '';
+
+        const countSvg = content.count
+            ? `<text x="${WIDTH / 2}" y="${HEIGHT - 60}" font-size="32" text-anchor="middle" fill="${t.text}" fill-opacity="0.85">${this.escape(content.count)} titles</text>`
+            : '';
+
+        return `<?xml version="1.0" encoding="UTF-8"?>` +
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" font-family="${this.escape(font)}">` +
+            `<defs><linearGradient id="bg" x1="0" y1="0" x2="0" y2="1">` +
+            `<stop offset="0" stop-color="${t.background}"/><stop offset="1" stop-color="${t.accent}"/>` +
+            `</linearGradient></defs>` +
+            `<rect width="${WIDTH}" height="${HEIGHT}" fill="url(#bg)"/>` +
+            `<rect x="24" y="24" width="${WIDTH - 48}" height="${HEIGHT - 48}" rx="24" fill="none" stroke="${t.text}" stroke-opacity="0.25" stroke-width="4"/>` +
+            (t.icon ? `<text x="${WIDTH / 2}" y="230" font-size="120" text-anchor="middle" fill="${t.text}">${this.escape(t.icon)}</text>` : '') +
+            nameLines + badgeSvg + countSvg +
+            `</svg>`;
+    }
+
+    /**
+     * Computes a short fingerprint of a theme, used to bust client image caches when it changes.
+     * @param theme The slot's theme.
+     * @returns The fingerprint.
+     */
+    static getThemeVersion(theme: HeaderTheme = {}): string {
+        return crypto.createHash('md5').update(JSON.stringify(this.resolveTheme(theme))).digest('hex').slice(0, 8);
+    }
+
+    /**
+     * Validates a theme, dropping invalid values.
+     * @param theme The theme to check (e.g. from an API request).
+     * @returns The sanitized theme.
+     */
+    static sanitizeTheme(theme: any): HeaderTheme {
+        const result: HeaderTheme = {};
+        if (!theme || typeof theme !== 'object') return result;
+
+        for (const key of ['background', 'accent', 'text'] as const) {
+            if (typeof theme[key] === 'string' && /^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(theme[key])) result[key] = theme[key];
+        }
+        if (typeof theme.icon === 'string' && Array.from(theme.icon).length <= 4) result.icon = theme.icon;
+        if (typeof theme.font === 'string' && HEADER_FONTS[theme.font]) result.font = theme.font;
+        return result;
+    }
+
+    /**
+     * Fills in a theme's missing values from the default theme.
+     * @param theme The slot's theme.
+     * @returns The complete theme.
+     */
+    private static resolveTheme(theme: HeaderTheme): Required<HeaderTheme> {
+        return { ...DEFAULT_HEADER_THEME, ...this.sanitizeTheme(theme) };
+    }
+
+    /**
+     * Word-wraps a list name for the poster, truncating with an ellipsis after MAX_LINES.
+     * @param text The list name.
+     * @returns The lines.
+     */
+    private static wrap(text: string): string[] {
+        const lines: string[] = [];
+        let current = '';
+        for (const word of text.split(/\s+/).filter(w => w)) {
+            if (current && (current + ' ' + word).length > MAX_LINE_CHARS) {
+                lines.push(current);
+                current = word;
+            } else {
+                current = current ? `${current} ${word}` : word;
+            }
+        }
+        if (current) lines.push(current);
+
+        if (lines.length > MAX_LINES) {
+            lines.length = MAX_LINES;
+            lines[MAX_LINES - 1] += '…';
+        }
+        return lines;
+    }
+
+    /**
+     * Escapes text for use in SVG markup.
+     * @param text The raw text.
+     * @returns The escaped text.
+     */
+    private static escape(text: string): string {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+}
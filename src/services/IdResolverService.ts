@@ -0,0 +1,190 @@
+/**
+ * IdResolverService.ts
+ *
+ * External ID Resolution.
+ *
+ * Responsibilities:
+ * 1. Maps TMDB and TVDB ids to IMDB `tt` ids (the ids Stremio addons expect), using TMDB when an
+ *    API key is configured and Trakt's id search otherwise.
+ * 2. Keeps the mappings in a persistent local cache (`config/id-map.json`), shared by all profiles.
+ *    Ids that could not be mapped are retried after RETRY_UNRESOLVED_MS.
+ * 3. Gives unresolved items a fallback id (their source's own id, or `tmdb:` / `tvdb:`, whose detail
+ *    pages the addon serves itself) so they are kept, and reports their titles.
+ */
+import fs from 'fs';
+import path from 'path';
+import { ContentType } from '../store/ConfigStore';
+import { tmdbService } from './TmdbService';
+import { traktService } from './TraktService';
+
+export type ExternalIdSource = 'tmdb' | 'tvdb';
+
+/** Id prefixes of unresolved items' fallback ids. The addon serves their detail pages. */
+export const FALLBACK_ID_PREFIXES = ['tmdb:', 'tvdb:'];
+
+export interface ExternalIds {
+    tmdb?: string | number;
+    tvdb?: string | number;
+}
+
+interface MappingEntry {
+    imdb: string | null; // null when no IMDB id was found
+    checkedAt: number; // Epoch ms
+}
+
+const MAP_PATH = path.join(process.cwd(), 'config', 'id-map.json');
+const IMDB_ID_PATTERN = /^tt\d+$/;
+const RETRY_UNRESOLVED_MS = 7 * 24 * 60 * 60 * 1000;
+// Parallel lookups per batch
+const LOOKUP_CONCURRENCY = 5;
+// Batches several lookups into one write of the cache file
+const SAVE_DELAY_MS = 5000;
+
+export class IdResolverService {
+    private mappings?: Map<string, MappingEntry>; // '<source>:<movie|series>:<id>' -> entry
+    private saveTimer?: NodeJS.Timeout;
+
+    /**
+     * Checks whether an id is an IMDB id.
+     * @param id The id.
+     */
+    isImdbId(id: any): boolean {
+        return typeof id === 'string' && IMDB_ID_PATTERN.test(id);
+    }
+
+    /**
+     * Gives every item without an IMDB id the IMDB id of its TMDB or TVDB id, when one is known.
+     * Items that stay unresolved keep their own id, or get a `tmdb:<id>` / `tvdb:<id>` id; only
+     * items with no id at all are dropped.
+     * @param items The items; `externalIds` holds their TMDB / TVDB ids.
+     * @param contentType The content type of items without a `type`.
+     * @returns A promise that resolves to the items (without `externalIds`) and the titles of the unresolved ones.
+     */
+    async resolveItems<T extends { id: string, type?: string, name?: string, externalIds?: ExternalIds }>(
+        items: T[], contentType: ContentType): Promise<{ items: T[], unresolved: string[] }> {
+        const pending = items.filter(item => !this.isImdbId(item.id) && item.externalIds);
+        const imdbIds = await this.resolve(pending.map(item => ({
+            ids: item.externalIds!,
+            type: item.type === ContentType.SERIES ? ContentType.SERIES : (item.type === ContentType.MOVIE ? ContentType.MOVIE : contentType)
+        })));
+        const resolved = new Map(pending.map((item, i) => [item, imdbIds[i]]));
+
+        const results: T[] = [];
+        const unresolved: string[] = [];
+        for (const item of items) {
+            const { externalIds, ...rest } = item;
+            const id = resolved.get(item) || item.id || this.getFallbackId(externalIds);
+            if (!this.isImdbId(id)) unresolved.push(item.name || id || '?');
+            if (id) results.push({ ...rest, id } as T);
+        }
+        return { items: results, unresolved };
+    }
+
+    /**
+     * Builds the id of an item that has no IMDB id, from its TMDB or TVDB id.
+     * @param ids The item's external ids.
+     * @returns `tmdb:<id>` or `tvdb:<id>`, or an empty string if it has neither.
+     */
+    private getFallbackId(ids: ExternalIds = {}): string {
+        if (ids.tmdb) return `tmdb:${ids.tmdb}`;
+        if (ids.tvdb) return `tvdb:${ids.tvdb}`;
+        return '';
+    }
+
+    /**
+     * Maps TMDB / TVDB ids to IMDB ids, trying the TMDB id first. Lookups are cached persistently.
+     * @param refs The ids and content type of each title.
+     * @returns A promise that resolves to the IMDB ids (null when unknown), in the same order.
+     */
+    async resolve(refs: { ids: ExternalIds, type: ContentType }[]): Promise<(string | null)[]> {
+        const mappings = this.getMappings();
+        const keysOf = (ref: { ids: ExternalIds, type: ContentType }) => (['tmdb', 'tvdb'] as ExternalIdSource[])
+            .filter(source => ref.ids[source] !== undefined && ref.ids[source] !== null && ref.ids[source] !== '')
+            .map(source => `${source}:${ref.type}:${ref.ids[source]}`);
+
+        const stale = (key: string) => {
+            const entry = mappings.get(key);
+            return !entry || (!entry.imdb && Date.now() - entry.checkedAt > RETRY_UNRESOLVED_MS);
+        };
+
+        // Look up every id that is not cached, unless an earlier id of the same title is already mapped
+        const missing = new Set<string>();
+        for (const ref of refs) {
+            for (const key of keysOf(ref)) {
+                if (mappings.get(key)?.imdb) break;
+                if (stale(key)) missing.add(key);
+            }
+        }
+
+        const keys = Array.from(missing);
+        for (let i = 0; i < keys.length; i += LOOKUP_CONCURRENCY) {
+            await Promise.all(keys.slice(i, i + LOOKUP_CONCURRENCY).map(async key => {
+                const [source, type, id] = key.split(':');
+                try {
+                    const imdb = await this.lookup(source as ExternalIdSource, id, type as ContentType);
+                    mappings.set(key, { imdb: this.isImdbId(imdb) ? imdb : null, checkedAt: Date.now() });
+                } catch (e: any) {
+                    // Not cached: retried on the next fetch
+                    console.error(`ID lookup failed for ${key}:`, e.message);
+                }
+            }));
+        }
+        if (keys.length > 0) this.scheduleSave();
+
+        return refs.map(ref => keysOf(ref).map(key => mappings.get(key)?.imdb).find(imdb => imdb) || null);
+    }
+
+    /**
+     * Looks up the IMDB id of a TMDB or TVDB id, with TMDB when configured and Trakt otherwise.
+     * @param source The id type.
+     * @param id The id.
+     * @param type The content type.
+     * @returns A promise that resolves to the IMDB id, or null if none is known.
+     */
+    private async lookup(source: ExternalIdSource, id: string, type: ContentType): Promise<string | null> {
+        if (tmdbService.isConfigured()) return tmdbService.findImdbId(source, id, type);
+        if (traktService.isConfigured()) return traktService.findImdbId(source, id, type);
+        throw new Error("TMDB API Key or Trakt Client ID required to resolve ids");
+    }
+
+    /**
+     * Gets the mapping cache, loading it from disk on first use.
+     * @returns The mappings.
+     */
+    private getMappings(): Map<string, MappingEntry> {
+        if (!this.mappings) {
+            this.mappings = new Map();
+            try {
+                if (fs.existsSync(MAP_PATH)) {
+                    const json = JSON.parse(fs.readFileSync(MAP_PATH, 'utf-8'));
+                    this.mappings = new Map(Object.entries(json));
+                    console.log(`Loaded ${this.mappings.size} id mappings`);
+                }
+            } catch (e) {
+                console.error("Error loading id mappings", e);
+            }
+        }
+        return this.mappings;
+    }
+
+    /**
+     * Writes the mapping cache to disk shortly, so a burst of lookups is written once.
+     */
+    private scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = undefined;
+            try {
+                if (!fs.existsSync(path.dirname(MAP_PATH))) {
+                    fs.mkdirSync(path.dirname(MAP_PATH), { recursive: true });
+                }
+                fs.writeFileSync(MAP_PATH, JSON.stringify(Object.fromEntries(this.getMappings())));
+            } catch (e) {
+                console.error("Error saving id mappings", e);
+            }
+        }, SAVE_DELAY_MS);
+        this.saveTimer.unref();
+    }
+}
+
+export const idResolverService = new IdResolverService();
@@ -73,7 +73,14 @@ export class ImdbService {
                 type: type,
                 name: node.titleText?.text || 'Unknown Title',
                 poster: node.primaryImage?.url || '', // High-res usually key
-                description: `IMDB Rating: ${node.ratingsSummary?.aggregateRating}/10`
+                description: `IMDB Rating: ${node.ratingsSummary?.aggregateRating}/10`,
+                details: {
+                    rating: node.ratingsSummary?.aggregateRating,
+                    year: node.releaseYear?.year,
+                    genres: (node.titleGenres?.genres || []).map((g: any) => g.genre?.text).filter((g: any) => g),
+                    runtime: node.runtime?.seconds ? Math.round(node.runtime.seconds / 60) : undefined,
+                    certification: node.certificate?.rating
+                }
             };
         });
     }
@@ -0,0 +1,158 @@
+/**
+ * JellyfinService.ts
+ *
+ * Jellyfin / Emby Server Integration.
+ *
+ * Responsibilities:
+ * 1. Connects to a Jellyfin or Emby server (both share the same API) using an API key.
+ * 2. Lists the server's Collections, Playlists and Movie / TV library views.
+ * 3. Retrieves items from one of them to use as a source list, with the IMDB, TMDB and TVDB ids from
+ *    `ProviderIds`.
+ */
+import axios, { AxiosInstance } from 'axios';
+import { MetaPreview } from 'stremio-addon-sdk';
+import { ContentType } from '../store/ConfigStore';
+import { ItemDetails } from './FilterService';
+import { ExternalIds } from './IdResolverService';
+
+const ITEM_FIELDS = 'ProviderIds,Overview,Genres,OfficialRating,ProductionYear,CommunityRating,RunTimeTicks';
+const TICKS_PER_MINUTE = 600000000;
+
+export interface JellyfinCollection {
+    key: string; // Item id of the collection, playlist or library view
+    title: string;
+    kind: 'collection' | 'playlist' | 'library';
+}
+
+export class JellyfinService {
+    private client?: AxiosInstance;
+    private userId?: string;
+
+    /**
+     * Lazily creates the API client from the environment.
+     */
+    private getClient(): AxiosInstance {
+        if (!process.env.JELLYFIN_URL || !process.env.JELLYFIN_API_KEY) {
+            throw new Error("Jellyfin/Emby credentials (URL/API Key) not configured");
+        }
+        if (!this.client) {
+            this.client = axios.create({
+                baseURL: process.env.JELLYFIN_URL.replace(/\/+$/, ''),
+                // Accepted by both Jellyfin and Emby
+                headers: { 'X-Emby-Token': process.env.JELLYFIN_API_KEY }
+            });
+        }
+        return this.client;
+    }
+
+    /**
+     * Gets the user whose libraries are browsed: JELLYFIN_USER_ID, or else the first administrator.
+     * API keys are not tied to a user, but playlists and library views are.
+     */
+    private async getUserId(): Promise<string> {
+        if (this.userId) return this.userId;
+        if (process.env.JELLYFIN_USER_ID) return this.userId = process.env.JELLYFIN_USER_ID;
+
+        const { data: users } = await this.getClient().get('/Users');
+        const user = users.find((u: any) => u.Policy?.IsAdministrator) || users[0];
+        if (!user) throw new Error("No Jellyfin/Emby users found");
+        return this.userId = user.Id as string;
+    }
+
+    /**
+     * Get the collections, playlists and library views usable for the given content type.
+     * @param type ContentType (movie or series)
+     */
+    public async getCollections(type: ContentType): Promise<JellyfinCollection[]> {
+        const client = this.getClient();
+        try {
+            const userId = await this.getUserId();
+            const libraryType = type === ContentType.MOVIE ? 'movies' : 'tvshows';
+
+            const [views, collections, playlists] = await Promise.all([
+                client.get(`/Users/${userId}/Views`),
+                client.get(`/Users/${userId}/Items`, { params: { IncludeItemTypes: 'BoxSet', Recursive: true, SortBy: 'SortName' } }),
+                client.get(`/Users/${userId}/Items`, { params: { IncludeItemTypes: 'Playlist', Recursive: true, SortBy: 'SortName' } })
+            ]);
+
+            return [
+                ...(views.data.Items || [])
+                    .filter((v: any) => v.CollectionType === libraryType)
+                    .map((v: any) => ({ key: v.Id, title: `Library: ${v.Name}`, kind: 'library' as const })),
+                ...(collections.data.Items || []).map((c: any) => ({ key: c.Id, title: c.Name || "Unknown", kind: 'collection' as const })),
+                ...(playlists.data.Items || [])
+                    .filter((p: any) => !p.MediaType || p.MediaType === 'Video')
+                    .map((p: any) => ({ key: p.Id, title: `Playlist: ${p.Name}`, kind: 'playlist' as const }))
+            ];
+        } catch (error: any) {
+            console.error("JellyfinService: Error getting collections", error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get items from a collection, playlist or library view. Items without an IMDB id have an empty id
+     * and their TMDB / TVDB ids in `externalIds`.
+     * @param collectionKey The item id of the collection, playlist or library view
+     * @param type ContentType (movie or series)
+     * @param limit limit items
+     * @param page 1-based page to fetch (page size is `limit`)
+     * @returns The items and whether more pages exist
+     */
+    public async getListItems(collectionKey: string, type: ContentType, limit: number = 50, page: number = 1): Promise<{ items: (MetaPreview & { details: ItemDetails, externalIds: ExternalIds })[], hasMore: boolean }> {
+        const client = this.getClient();
+        const userId = await this.getUserId();
+        const startIndex = (page - 1) * limit;
+
+        try {
+            const { data } = await client.get(`/Users/${userId}/Items`, {
+                params: {
+                    ParentId: collectionKey,
+                    Recursive: true,
+                    IncludeItemTypes: type === ContentType.MOVIE ? 'Movie' : 'Series',
+                    Fields: ITEM_FIELDS,
+                    StartIndex: startIndex,
+                    Limit: limit
+                }
+            });
+            const items = data.Items || [];
+
+            return {
+                items: items
+                    .map((item: any) => ({
+                        id: this.getProviderId(item, 'imdb') || '',
+                        type: item.Type === 'Series' ? 'series' : 'movie',
+                        name: item.Name,
+                        description: item.Overview,
+                        details: {
+                            rating: item.CommunityRating,
+                            year: item.ProductionYear,
+                            genres: item.Genres || [],
+                            runtime: item.RunTimeTicks ? Math.round(item.RunTimeTicks / TICKS_PER_MINUTE) : undefined,
+                            certification: item.OfficialRating
+                        },
+                        externalIds: { tmdb: this.getProviderId(item, 'tmdb'), tvdb: this.getProviderId(item, 'tvdb') }
+                    })),
+                hasMore: startIndex + items.length < (data.TotalRecordCount || 0)
+            };
+        } catch (error: any) {
+            console.error(`JellyfinService: Error getting items for ${collectionKey}`, error.message);
+            throw new Error(`Failed to fetch Jellyfin/Emby items: ${error.response?.status === 404 ? 'Collection not found' : error.message}`);
+        }
+    }
+
+    /**
+     * Reads one of an item's provider ids (the key's case differs between servers).
+     * @param item The Jellyfin/Emby item
+     * @param provider 'imdb', 'tmdb' or 'tvdb'
+     */
+    private getProviderId(item: any, provider: 'imdb' | 'tmdb' | 'tvdb'): string | undefined {
+        const ids = item.ProviderIds || {};
+        const key = Object.keys(ids).find(k => k.toLowerCase() === provider);
+        const id = key ? ids[key] : undefined;
+        if (typeof id !== 'string' || !id) return undefined;
+        return provider !== 'imdb' || id.startsWith('tt') ? id : undefined;
+    }
+}
+
+export const jellyfinService = new JellyfinService();
@@ -0,0 +1,199 @@
+/**
+ * LetterboxdService.ts
+ *
+ * Letterboxd Website Scraper.
+ *
+ * Responsibilities:
+ * 1. Scrapes public Letterboxd lists and watchlists, following their pagination.
+ * 2. Resolves each film to its IMDB id (and poster, rating, year, genres) from the film page's
+ *    embedded JSON-LD block and IMDb link, caching the results. Films without an IMDb link carry
+ *    their TMDB id for the IdResolverService instead.
+ * 3. Caches each list's scraped slugs for SLUG_CACHE_MS, so paging through a list does not scrape
+ *    it from the start again. Films are cached for FILM_CACHE_MS, up to MAX_CACHED_FILMS.
+ */
+import axios from 'axios';
+import { ContentType } from '../store/ConfigStore';
+
+const BASE_URL = 'https://letterboxd.com';
+const WATCHLIST_SLUG = 'watchlist';
+// Safety net against runaway pagination (Letterboxd shows 100 films per list page, 28 per watchlist page)
+const MAX_LIST_PAGES = 50;
+// Parallel film page lookups per batch
+const LOOKUP_CONCURRENCY = 5;
+const SLUG_CACHE_MS = 60 * 60 * 1000;
+const FILM_CACHE_MS = 7 * 24 * 60 * 60 * 1000;
+// Oldest films are evicted beyond this
+const MAX_CACHED_FILMS = 5000;
+
+const HEADERS = {
+    // Mimic browser to ensure we get the full page
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+};
+
+export class LetterboxdService {
+    // Film slug -> meta preview (null when it has no IMDB or TMDB id), oldest first
+    private films = new Map<string, { meta: any | null, expires: number }>();
+    // List URL -> the slugs scraped so far, and the next list page to scrape
+    private slugLists = new Map<string, { slugs: string[], nextPage: number, hasNext: boolean, expires: number }>();
+
+    /**
+     * Fetches a page of films from a Letterboxd list or watchlist. Films with neither an IMDB nor a TMDB id are dropped.
+     * @param config The list owner and slug (`watchlist` for the user's watchlist).
+     * @param limit The page size.
+     * @param page The 1-based page to fetch (page size is `limit`).
+     * @returns A promise that resolves to the meta previews and whether more pages exist.
+     */
+    async getListItems(config: { username?: string; listSlug?: string; }, limit: number, page: number = 1): Promise<{ items: any[], hasMore: boolean }> {
+        if (!config.username || !config.listSlug) throw new Error("Letterboxd requires a Username and List Slug");
+
+        const username = encodeURIComponent(config.username.trim().toLowerCase());
+        const slug = config.listSlug.trim().toLowerCase();
+        const listUrl = slug === WATCHLIST_SLUG
+            ? `${BASE_URL}/${username}/watchlist/`
+            : `${BASE_URL}/${username}/list/${encodeURIComponent(slug)}/`;
+
+        try {
+            const offset = (page - 1) * limit;
+            const { slugs, hasMore } = await this.fetchSlugs(listUrl, offset + limit);
+            const films = await this.resolveFilms(slugs.slice(offset, offset + limit));
+
+            return { items: films.filter(f => f), hasMore };
+        } catch (e: any) {
+            console.error(`Letterboxd fetch failed for ${listUrl}:`, e.message);
+            throw new Error(`Failed to fetch Letterboxd: ${e.response?.status === 404 ? 'List not found' : e.message}`);
+        }
+    }
+
+    /**
+     * Collects film slugs from a list's pages until `count` slugs are found or the list ends.
+     * Pages scraped within SLUG_CACHE_MS are not scraped again.
+     * @param listUrl The URL of the list's first page.
+     * @param count The number of slugs needed.
+     * @returns A promise that resolves to the slugs and whether the list has further films.
+     */
+    private async fetchSlugs(listUrl: string, count: number): Promise<{ slugs: string[], hasMore: boolean }> {
+        let cached = this.slugLists.get(listUrl);
+        if (!cached || cached.expires <= Date.now()) {
+            for (const [url, entry] of this.slugLists) {
+                if (entry.expires <= Date.now()) this.slugLists.delete(url);
+            }
+            cached = { slugs: [], nextPage: 1, hasNext: true, expires: Date.now() + SLUG_CACHE_MS };
+            this.slugLists.set(listUrl, cached);
+        }
+        const { slugs } = cached;
+
+        while (cached.nextPage <= MAX_LIST_PAGES && cached.hasNext && slugs.length < count) {
+            const page = cached.nextPage;
+            const url = page === 1 ? listUrl : `${listUrl}page/${page}/`;
+            console.log(`Scraping Letterboxd list: ${url}`);
+            const res = await axios.get(url, { headers: HEADERS });
+            const html: string = res.data;
+
+            const pageSlugs = this.parseSlugs(html);
+            if (page === 1 && pageSlugs.length === 0) {
+                console.warn(`No films found on ${url} (empty list or changed page markup)`);
+            }
+
+            for (const slug of pageSlugs) {
+                if (!slugs.includes(slug)) slugs.push(slug);
+            }
+            cached.hasNext = pageSlugs.length > 0 && /class="next"[^>]*href=|href="[^"]*\/page\/\d+\/"[^>]*class="next"/.test(html);
+            cached.nextPage = page + 1;
+        }
+
+        return { slugs, hasMore: slugs.length > count || (cached.hasNext && cached.nextPage <= MAX_LIST_PAGES) };
+    }
+
+    /**
+     * Extracts film slugs from a list page. Handles both the older `data-film-slug` poster markup
+     * and the newer `data-item-slug` (LazyPoster component) markup.
+     * @param html The list page HTML.
+     * @returns The film slugs, in list order.
+     */
+    private parseSlugs(html: string): string[] {
+        const slugs: string[] = [];
+        const pattern = /data-(?:film|item)-slug="([^"]+)"|data-target-link="\/film\/([^/"]+)\/"/g;
+        let match: RegExpExecArray | null;
+        while ((match = pattern.exec(html)) !== null) {
+            const slug = match[1] || match[2];
+            if (!slugs.includes(slug)) slugs.push(slug);
+        }
+        return slugs;
+    }
+
+    /**
+     * Resolves film slugs to meta previews. Lookups are cached for FILM_CACHE_MS.
+     * @param slugs The film slugs.
+     * @returns A promise that resolves to the meta previews (null when a film has no IMDB or TMDB id), in the same order.
+     */
+    private async resolveFilms(slugs: string[]): Promise<(any | null)[]> {
+        const now = Date.now();
+        const missing = slugs.filter(slug => !((this.films.get(slug)?.expires || 0) > now));
+        const resolved = new Map(slugs.map(slug => [slug, this.films.get(slug)?.meta || null]));
+
+        for (let i = 0; i < missing.length; i += LOOKUP_CONCURRENCY) {
+            await Promise.all(missing.slice(i, i + LOOKUP_CONCURRENCY).map(async slug => {
+                try {
+                    const meta = await this.fetchFilm(slug);
+                    resolved.set(slug, meta);
+                    // Re-inserted, so the map stays ordered oldest first
+                    this.films.delete(slug);
+                    this.films.set(slug, { meta, expires: Date.now() + FILM_CACHE_MS });
+                } catch (e: any) {
+                    // Not cached: retried on the next fetch
+                    console.error(`Letterboxd film lookup failed for ${slug}:`, e.message);
+                }
+            }));
+        }
+
+        for (const slug of this.films.keys()) {
+            if (this.films.size <= MAX_CACHED_FILMS) break;
+            this.films.delete(slug);
+        }
+
+        return slugs.map(slug => resolved.get(slug) || null);
+    }
+
+    /**
+     * Scrapes a film page for its IMDB (or TMDB) id and metadata.
+     * @param slug The film slug.
+     * @returns A promise that resolves to the meta preview, or null if the film has neither id.
+     */
+    private async fetchFilm(slug: string): Promise<any | null> {
+        const res = await axios.get(`${BASE_URL}/film/${encodeURIComponent(slug)}/`, { headers: HEADERS });
+        const html: string = res.data;
+
+        const imdbMatch = html.match(/imdb\.com\/title\/(tt\d+)/);
+        const tmdbMatch = html.match(/data-tmdb-id="(\d+)"|themoviedb\.org\/movie\/(\d+)/);
+        if (!imdbMatch && !tmdbMatch) return null;
+
+        // JSON-LD block, wrapped in a CDATA comment
+        let data: any = {};
+        const ldMatch = html.match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/);
+        if (ldMatch) {
+            try {
+                data = JSON.parse(ldMatch[1].replace(/\/\*\s*<!\[CDATA\[\s*\*\//, '').replace(/\/\*\s*\]\]>\s*\*\//, ''));
+            } catch (e: any) {
+                console.error(`Failed to parse Letterboxd data for ${slug}:`, e.message);
+            }
+        }
+
+        const rating = data.aggregateRating?.ratingValue;
+        const year = parseInt(data.releasedEvent?.[0]?.startDate);
+        return {
+            id: imdbMatch ? imdbMatch[1] : '',
+            type: ContentType.MOVIE,
+            name: data.name || slug,
+            poster: data.image || '',
+            description: rating ? `Letterboxd Rating: ${rating}/5` : '',
+            details: {
+                rating: rating ? rating * 2 : undefined, // 0-5 stars to the 0-10 filter scale
+                year: isNaN(year) ? undefined : year,
+                genres: Array.isArray(data.genre) ? data.genre : undefined
+            },
+            externalIds: { tmdb: tmdbMatch ? tmdbMatch[1] || tmdbMatch[2] : undefined }
+        };
+    }
+}
+
+export const letterboxdService = new LetterboxdService();
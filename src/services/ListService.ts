@@ -6,12 +6,18 @@
  * Responsibilities:
  * 1. Validates external lists (Trakt, MdbList) to ensure they are accessible.
  * 2. Handles CRUD operations for Source Lists (Add, Update, Delete).
- * 3. Ensures constraints (e.g., auto-adding new lists to "Select All" slots) are met.
+ * 3. Ensures constraints (e.g., auto-adding new lists to "Select All" slots, no cycles between
+ *    composite lists, no deleting lists a composite still uses) are met.
  * 4. Triggers `CatalogService` to refresh slots when their underlying lists change.
  */
-import { ConfigStore, SourceType, ContentType, SourceList, DEFAULT_ITEM_LIMIT } from '../store/ConfigStore';
+import { ConfigStore, SourceType, ContentType, SourceList, DEFAULT_ITEM_LIMIT, CompositeOperation } from '../store/ConfigStore';
 import { traktService } from './TraktService';
 import { mdbListService } from './MdbListService';
+import { tmdbService, TmdbListConfig } from './TmdbService';
+import { letterboxdService } from './LetterboxdService';
+import { jellyfinService } from './JellyfinService';
+import { CustomListService } from './CustomListService';
+import { addonCatalogService, AddonCatalogConfig } from './AddonCatalogService';
 import { plexService } from './PlexService';
 import { imdbService } from './ImdbService';
 import { CatalogService } from './CatalogService';
@@ -48,12 +54,32 @@ export class ListService {
                         await imdbService.getTop250Series();
                     }
                 } else {
-                    await traktService.getDefaultList(list.config.listType, list.contentType || ContentType.MOVIE, limit);
+                    await traktService.getDefaultList(list.config.listType, list.contentType || ContentType.MOVIE, limit, 1, {
+                        listId: list.config.listId,
+                        period: list.config.period,
+                        filters: list.filters
+                    });
                 }
             } else if (list.type === SourceType.PLEX_COLLECTION) {
-                if (!list.config.collectionId) throw new Error("Missing Plex Collection ID");
+                if (!list.config.collectionId && !list.config.query?.sectionKey) throw new Error("Missing Plex Collection ID or library");
                 // Validate availability by fetching 1 item
-                await plexService.getListItems(list.config.collectionId, 1);
+                const contentType = list.contentType || ContentType.MOVIE;
+                await plexService.getListItems(plexService.getListKey(list.config, contentType), contentType, 1, 1, list.config.serverId);
+            } else if (list.type === SourceType.TMDB_LIST) {
+                await tmdbService.getListItems(list.config as TmdbListConfig, list.contentType || ContentType.MOVIE, limit);
+            } else if (list.type === SourceType.LETTERBOXD_LIST) {
+                if (list.contentType === ContentType.SERIES) throw new Error("Letterboxd lists only contain movies");
+                await letterboxdService.getListItems(list.config, limit);
+            } else if (list.type === SourceType.JELLYFIN_COLLECTION) {
+                if (!list.config.collectionId) throw new Error("Missing Jellyfin/Emby Collection ID");
+                // Validate availability by fetching 1 item
+                await jellyfinService.getListItems(list.config.collectionId, list.contentType || ContentType.MOVIE, 1);
+            } else if (list.type === SourceType.CUSTOM_LIST) {
+                CustomListService.validateItems(list.config.items);
+            } else if (list.type === SourceType.ADDON_CATALOG) {
+                await addonCatalogService.getListItems(list.config as AddonCatalogConfig, limit);
+            } else if (list.type === SourceType.COMPOSITE_LIST) {
+                this.validateComposite(list);
             }
             // trakt_trending is always valid
             return true;
@@ -123,7 +149,7 @@ export class ListService {
             await ConfigStore.saveConfig();
 
             // Propagate updates to any slots currently using this list
-            const slotsUsingList = data.slots.filter(s => s.currentSelection?.sourceId === id);
+            const slotsUsingList = data.slots.filter(s => CatalogService.getSelectionListIds(s.currentSelection).includes(id));
             if (slotsUsingList.length > 0) {
                 console.log(`Updating ${slotsUsingList.length} slots that use list ${list.alias}`);
                 for (const slot of slotsUsingList) {
@@ -137,9 +163,16 @@ export class ListService {
     /**
      * Deletes a list from the configuration store.
      * @param id The ID of the list to delete.
+     * @throws If a composite list still uses it.
      */
     static deleteList(id: string) {
         const data = ConfigStore.getData();
+
+        const users = this.getCompositesUsing(id);
+        if (users.length > 0) {
+            throw new Error(`This list is used by composite list${users.length > 1 ? 's' : ''} ${users.map(l => `"${l.alias}"`).join(', ')}. Remove it from ${users.length > 1 ? 'those lists' : 'that list'} first.`);
+        }
+
         data.lists = data.lists.filter(l => l.id !== id);
 
         // Remove this ID from any slot.listIds
@@ -149,4 +182,50 @@ export class ListService {
 
         ConfigStore.saveConfig();
     }
+
+    /**
+     * Finds the composite lists that directly use a list.
+     * @param id The ID of the list.
+     * @returns The composite lists.
+     */
+    static getCompositesUsing(id: string): SourceList[] {
+        return ConfigStore.getData().lists.filter(l =>
+            l.type === SourceType.COMPOSITE_LIST && l.id !== id && (l.config.listIds || []).includes(id));
+    }
+
+    /**
+     * Validates a composite list's operation and source lists, and checks that it does not
+     * (directly or through nested composites) include itself.
+     * @param list The composite list (with its ID when it already exists).
+     */
+    private static validateComposite(list: Omit<SourceList, 'id'> & { id?: string }) {
+        const { operation, listIds } = list.config;
+        if (!Object.values(CompositeOperation).includes(operation)) throw new Error(`Invalid composite operation: ${operation}`);
+        if (!Array.isArray(listIds) || listIds.length < (operation === CompositeOperation.UNION ? 1 : 2)) {
+            throw new Error(`A ${operation} needs ${operation === CompositeOperation.UNION ? 'at least one list' : 'at least two lists'}`);
+        }
+
+        const lists = ConfigStore.getData().lists;
+        const contentType = list.contentType || ContentType.MOVIE;
+        for (const id of listIds) {
+            const source = lists.find(l => l.id === id);
+            if (!source) throw new Error(`List ${id} does not exist`);
+            if ((source.contentType || ContentType.MOVIE) !== contentType) {
+                throw new Error(`"${source.alias}" is not a ${contentType === ContentType.SERIES ? 'series' : 'movie'} list`);
+            }
+        }
+
+        // Walk nested composites looking for this list
+        const pending: string[] = [...listIds];
+        const visited = new Set<string>();
+        while (pending.length > 0) {
+            const id = pending.pop()!;
+            if (list.id && id === list.id) throw new Error("A composite list cannot include itself");
+            if (visited.has(id)) continue;
+            visited.add(id);
+
+            const source = lists.find(l => l.id === id);
+            if (source?.type === SourceType.COMPOSITE_LIST) pending.push(...(source.config.listIds || []));
+        }
+    }
 }
@@ -40,9 +40,10 @@ export class MdbListService {
      * Fetches items from a MdbList list.
      * @param config The configuration for the list to fetch items from.
      * @param limit The maximum number of items to fetch.
+     * @param page The 1-based page to fetch (page size is `limit`).
      * @returns A promise that resolves to an array of items.
      */
-    async getListItems(config: { listId?: string; username?: string; listName?: string; }, limit: number) {
+    async getListItems(config: { listId?: string; username?: string; listName?: string; }, limit: number, page: number = 1) {
         if (!this.apiKey) throw new Error('MdbList API Key not set');
 
         let endpoint = '';
@@ -66,7 +67,7 @@ export class MdbListService {
             endpoint = `/lists/${id}/items`;
 
             const response2 = await this.client.get(endpoint, {
-                params: { apikey: this.apiKey, json: true, limit: limit }
+                params: { apikey: this.apiKey, json: true, limit: limit, offset: (page - 1) * limit }
             });
 
             return type === 'movie' ? response2.data.movies : response2.data.shows;
@@ -4,83 +4,326 @@
  * Plex Server Integration.
  * 
  * Responsibilities:
- * 1. Connects to a user's Plex server using provided credentials.
- * 2. Fetches available Collections from Movie and TV libraries.
- * 3. Retrieves items from specific Plex collections to use as a source list.
+ * 1. Connects to Plex servers: the one configured in the environment and any named servers added in
+ *    the profile's settings. Servers are reached directly with their URL and token (no plex.tv needed);
+ *    the environment server can also be discovered through the plex.tv account.
+ * 2. Discovers every Movie and TV library and fetches their Collections (regular and smart) and the
+ *    server's Playlists.
+ * 3. Retrieves items from a collection, playlist or on-the-fly library query (unwatched, recently
+ *    added, genre, decade or any Plex filter) to use as a source list.
+ * 4. Reads metadata and artwork for Plex-only items (those without an IMDB id).
+ * 5. Reads the libraries' watch state (`viewCount`) to hide watched items.
  */
 
-import { ContentType, PlexContentType } from '../store/ConfigStore';
+import crypto from 'crypto';
+import { ConfigStore, ContentType, PlexServerConfig, SourceType } from '../store/ConfigStore';
 import { MetaPreview } from 'stremio-addon-sdk';
-import type { MyPlexAccount, PlexServer, MovieSection, ShowSection } from '@ctrl/plex';
+import type { PlexServer } from '@ctrl/plex';
+import axios from 'axios';
+import { ItemDetails } from './FilterService';
+import { idResolverService, ExternalIds } from './IdResolverService';
+
+/** Prefix for ids of Plex items that have no IMDB id. */
+export const PLEX_ID_PREFIX = 'plex_';
+
+/** Id of the server configured through the PLEX_* environment variables. */
+export const ENV_PLEX_SERVER_ID = 'env';
+
+const CONNECT_TIMEOUT_MS = 15000;
+
+export interface PlexSection {
+    key: string;
+    title: string;
+}
+
+export interface PlexLibraryQuery {
+    sectionKey: string;
+    view?: 'all' | 'unwatched' | 'recentlyAdded' | 'newest';
+    genre?: string; // Genre key within the library
+    decade?: number; // e.g. 1990
+    filter?: string; // Extra Plex filter parameters, e.g. 'contentRating=PG&resolution=4k'
+}
+
+/** A Plex server as shown in the web UI (the token is never sent back). */
+export interface PlexServerInfo {
+    id: string;
+    name: string;
+    url: string;
+    fromEnv: boolean; // Configured through environment variables, not editable
+}
 
 export class PlexService {
-    private client?: MyPlexAccount;
-    private plex?: PlexServer;
+    private connections = new Map<string, PlexServer>(); // '<url>|<token>' (or the plex.tv discovery key) -> connected server
 
     /**
-     * Lazily initialize and return the MyPlexAccount client.
-     * Required because @ctrl/plex is an ESM module and we are in a CJS environment.
+     * Get the Plex servers available to the active profile: the environment server (if PLEX_URL and
+     * PLEX_TOKEN are set) followed by the servers saved in the profile's settings.
      */
-    private async getClient(): Promise<MyPlexAccount> {
-        if (!this.client) {
-            // Bypass TSC conversion to require() by using new Function
-            // This forces Node.js to use its native ESM import() at runtime
-            const dynamicImport = new Function('specifier', 'return import(specifier)');
-            const { MyPlexAccount } = await dynamicImport('@ctrl/plex');
-
-            this.client = new MyPlexAccount(
-                process.env.PLEX_URL!,
-                process.env.PLEX_USERNAME!,
-                process.env.PLEX_PASSWORD!,
-                process.env.PLEX_TOKEN!
-            );
+    private getServerConfigs(): PlexServerConfig[] {
+        const servers: PlexServerConfig[] = [];
+        if (process.env.PLEX_URL && process.env.PLEX_TOKEN) {
+            servers.push({
+                id: ENV_PLEX_SERVER_ID,
+                name: process.env.PLEX_SERVER_NAME || 'Plex',
+                url: process.env.PLEX_URL,
+                token: process.env.PLEX_TOKEN
+            });
         }
-        return this.client!;
+        return servers.concat(ConfigStore.getData().plexServers || []);
     }
 
     /**
-     * Make a connection to Plex
+     * Get a Plex server's settings.
+     * @param serverId The server id; the first available server when omitted (lists created before
+     *                 servers could be named have none).
      */
-    private async makeConnection() {
-        if (this.plex) return this.plex;
+    private getServerConfig(serverId?: string): PlexServerConfig {
+        const servers = this.getServerConfigs();
+        if (servers.length === 0) throw new Error("Plex credentials (URL/Token) not configured");
+        if (!serverId) return servers[0];
 
-        if (process.env.PLEX_SERVER_NAME === undefined) {
-            throw new Error("Plex server name not configured");
+        const server = servers.find(s => s.id === serverId);
+        if (!server) throw new Error(`Unknown Plex server: ${serverId}`);
+        return server;
+    }
+
+    /**
+     * Check whether any Plex server is available to the active profile.
+     */
+    public isConfigured(): boolean {
+        return this.getServerConfigs().length > 0;
+    }
+
+    /**
+     * Get the Plex servers available to the active profile, without their tokens.
+     */
+    public getServers(): PlexServerInfo[] {
+        return this.getServerConfigs().map(s => ({ id: s.id, name: s.name, url: s.url, fromEnv: s.id === ENV_PLEX_SERVER_ID }));
+    }
+
+    /**
+     * Add or update a named Plex server in the active profile's settings.
+     * @param input The server's name, URL and token, and its id when updating. An empty token keeps the saved
+     *              one, as long as the URL is unchanged (a saved token is never sent to a new host).
+     * @returns The saved server
+     */
+    public async saveServer(input: { id?: string, name?: string, url?: string, token?: string }): Promise<PlexServerInfo> {
+        const name = (input.name || '').trim();
+        const url = this.normalizeUrl(input.url);
+        if (!name) throw new Error("Plex server name is required");
+        if (input.id === ENV_PLEX_SERVER_ID) throw new Error("The Plex server from the environment cannot be edited");
+
+        const data = ConfigStore.getData();
+        const servers = data.plexServers || [];
+        const existing = input.id ? servers.find(s => s.id === input.id) : undefined;
+        if (input.id && !existing) throw new Error(`Unknown Plex server: ${input.id}`);
+
+        const token = (input.token || '').trim() || (existing?.url === url ? existing.token : '');
+        if (!token) throw new Error(existing ? "Plex token is required when the URL changes" : "Plex token is required");
+
+        const server: PlexServerConfig = { id: existing?.id || crypto.randomBytes(4).toString('hex'), name, url, token };
+        data.plexServers = existing ? servers.map(s => s.id === server.id ? server : s) : [...servers, server];
+        await ConfigStore.saveConfig();
+        console.log(`Plex server ${name} (${url}) saved to profile ${ConfigStore.getProfileToken()}`);
+        return { id: server.id, name, url, fromEnv: false };
+    }
+
+    /**
+     * Remove a named Plex server from the active profile's settings. Refused while lists still use it.
+     * @param serverId The server id
+     */
+    public async deleteServer(serverId: string) {
+        const data = ConfigStore.getData();
+        if (!(data.plexServers || []).some(s => s.id === serverId)) throw new Error(`Unknown Plex server: ${serverId}`);
+
+        const users = data.lists.filter(l => l.type === SourceType.PLEX_COLLECTION && l.config.serverId === serverId);
+        if (users.length > 0) {
+            throw new Error(`This server is used by list${users.length > 1 ? 's' : ''} ${users.map(l => `"${l.alias}"`).join(', ')}. Delete ${users.length > 1 ? 'those lists' : 'that list'} first.`);
         }
 
-        const client = await this.getClient();
-        const account = await client.connect();
-        const resource = await account.resource(process.env.PLEX_SERVER_NAME);
-        const plex = await resource.connect();
-        this.plex = plex;
+        data.plexServers = data.plexServers!.filter(s => s.id !== serverId);
+        await ConfigStore.saveConfig();
+    }
+
+    /**
+     * Try to connect to a Plex server directly, without saving it.
+     * @param input The URL and token, or the id of a server saved in the profile's settings. The saved token is
+     *              only used with the saved URL; the environment's server cannot be tested this way.
+     * @returns The server's friendly name and version
+     */
+    public async testConnection(input: { id?: string, url?: string, token?: string }): Promise<{ name: string, version: string }> {
+        if (input.id === ENV_PLEX_SERVER_ID) throw new Error("The Plex server from the environment cannot be tested here");
+        const saved = input.id ? (ConfigStore.getData().plexServers || []).find(s => s.id === input.id) : undefined;
+        if (input.id && !saved) throw new Error(`Unknown Plex server: ${input.id}`);
+
+        const url = input.url ? this.normalizeUrl(input.url) : saved?.url;
+        const token = (input.token || '').trim() || (saved && url === saved.url ? saved.token : '');
+        if (!url || !token) throw new Error("Plex URL and token are required");
+
+        try {
+            const plex = await this.connectDirect(url, token);
+            return { name: plex.friendlyName, version: (plex as any).version || '' };
+        } catch (error: any) {
+            const status = error.response?.status ?? error.statusCode;
+            throw new Error(`Could not connect to Plex: ${status === 401 ? 'Invalid token' : error.message}`);
+        }
+    }
+
+    /**
+     * Make (or reuse) a connection to a Plex server.
+     * The environment server goes through plex.tv discovery when PLEX_USERNAME, PLEX_PASSWORD and
+     * PLEX_SERVER_NAME are all set; every other connection is made directly with the URL and token.
+     * @param server The server's settings
+     */
+    private async makeConnection(server: PlexServerConfig): Promise<PlexServer> {
+        const discover = server.id === ENV_PLEX_SERVER_ID
+            && !!(process.env.PLEX_USERNAME && process.env.PLEX_PASSWORD && process.env.PLEX_SERVER_NAME);
+        const key = discover ? `myplex|${process.env.PLEX_SERVER_NAME}` : `${server.url}|${server.token}`;
+
+        const cached = this.connections.get(key);
+        if (cached) return cached;
+
+        const plex = discover ? await this.connectThroughAccount() : await this.connectDirect(server.url, server.token);
+        this.connections.set(key, plex);
         return plex;
     }
 
     /**
-     * Get collections from Plex for the given content type.
+     * Connect to a Plex server directly with its URL and token. Works on a LAN without plex.tv.
+     * @param url The server URL, e.g. http://192.168.1.10:32400
+     * @param token The X-Plex-Token
+     */
+    private async connectDirect(url: string, token: string): Promise<PlexServer> {
+        const { PlexServer } = await this.importPlex();
+        const plex: PlexServer = new PlexServer(url, token, CONNECT_TIMEOUT_MS);
+        await plex.connect();
+        return plex;
+    }
+
+    /**
+     * Connect to the environment's Plex server by signing in to plex.tv and looking up PLEX_SERVER_NAME.
+     */
+    private async connectThroughAccount(): Promise<PlexServer> {
+        const { MyPlexAccount } = await this.importPlex();
+        const client = new MyPlexAccount(
+            process.env.PLEX_URL!,
+            process.env.PLEX_USERNAME!,
+            process.env.PLEX_PASSWORD!,
+            process.env.PLEX_TOKEN!
+        );
+        const account = await client.connect();
+        const resource = await account.resource(process.env.PLEX_SERVER_NAME!);
+        return resource.connect();
+    }
+
+    /**
+     * Load the @ctrl/plex module.
+     * Required because @ctrl/plex is an ESM module and we are in a CJS environment.
+     */
+    private async importPlex(): Promise<typeof import('@ctrl/plex')> {
+        // Bypass TSC conversion to require() by using new Function
+        // This forces Node.js to use its native ESM import() at runtime
+        const dynamicImport = new Function('specifier', 'return import(specifier)');
+        return dynamicImport('@ctrl/plex');
+    }
+
+    /**
+     * Connect to a server (the first available one when no id is given).
+     * @param serverId The server id (optional)
+     */
+    private async connect(serverId?: string): Promise<{ server: PlexServerConfig, plex: PlexServer }> {
+        const server = this.getServerConfig(serverId);
+        return { server, plex: await this.makeConnection(server) };
+    }
+
+    /**
+     * Check and tidy a server URL entered by the user.
+     * @param url The URL
+     */
+    private normalizeUrl(url?: string): string {
+        const result = (url || '').trim().replace(/\/+$/, '');
+        if (!/^https?:\/\/[^/]+/.test(result)) throw new Error("Invalid Plex URL (expected e.g. http://192.168.1.10:32400)");
+        return result;
+    }
+
+    /**
+     * Build the id of a Plex item without an IMDB id. Items of the environment server keep the
+     * plain `plex_<ratingKey>` form; items of named servers carry the server id.
+     * @param server The item's server
+     * @param ratingKey The item's rating key
+     */
+    private toItemId(server: PlexServerConfig, ratingKey: string): string {
+        return `${PLEX_ID_PREFIX}${this.toItemKey(server, ratingKey)}`;
+    }
+
+    /**
+     * Build the server-qualified key of an item: `<serverId>_<ratingKey>`, or the rating key alone
+     * for the environment server.
+     * @param server The item's server
+     * @param ratingKey The item's rating key
+     */
+    private toItemKey(server: PlexServerConfig, ratingKey: string): string {
+        return server.id === ENV_PLEX_SERVER_ID ? String(ratingKey) : `${server.id}_${ratingKey}`;
+    }
+
+    /**
+     * Split a server-qualified item key (see `toItemKey`) into the server id and the rating key.
+     * @param itemKey The item key
+     */
+    private parseItemKey(itemKey: string): { serverId?: string, ratingKey: string } {
+        const separator = itemKey.lastIndexOf('_');
+        if (separator < 0) return { ratingKey: itemKey };
+        return { serverId: itemKey.slice(0, separator), ratingKey: itemKey.slice(separator + 1) };
+    }
+
+    /**
+     * Get every library section holding the given content type (all movie or all show libraries).
+     * @param plex The connected server
      * @param type ContentType (movie or series)
      */
-    public async getCollections(type: ContentType): Promise<{ key: string, title: string }[]> {
+    private async getSections(plex: PlexServer, type: ContentType): Promise<PlexSection[]> {
+        const response = await plex.query('/library/sections');
+        const plexType = type === ContentType.MOVIE ? 'movie' : 'show';
+
+        return (response.MediaContainer.Directory || [])
+            .filter((section: any) => section.type === plexType)
+            .map((section: any) => ({ key: String(section.key), title: section.title }));
+    }
+
+    /**
+     * Get the collections (regular and smart) of every library of the given content type,
+     * plus the server's video playlists.
+     * @param type ContentType (movie or series)
+     * @param serverId The server id (optional)
+     */
+    public async getCollections(type: ContentType, serverId?: string): Promise<{ key: string, title: string, kind: 'collection' | 'smart' | 'playlist' }[]> {
         console.log(`PlexService: getCollections called for ${type}`);
-        if (!process.env.PLEX_URL || !process.env.PLEX_TOKEN) {
-            throw new Error("Plex credentials (URL/Token) not configured");
-        }
         try {
-            this.plex = await this.makeConnection();
-            console.log("PlexService: Connection successful");
-            const library = await this.plex.library();
-            let collections;
-
-            if (type === ContentType.MOVIE) {
-                collections = (await library.section<MovieSection>(PlexContentType.MOVIES)).collections();
-            } else {
-                collections = (await library.section<ShowSection>(PlexContentType.TVSHOWS)).collections();
+            const { plex } = await this.connect(serverId);
+            const sections = await this.getSections(plex, type);
+            console.log(`PlexService: Connection successful, ${sections.length} libraries`);
+            const results: { key: string, title: string, kind: 'collection' | 'smart' | 'playlist' }[] = [];
+
+            for (const section of sections) {
+                const response = await plex.query(`/library/sections/${section.key}/collections`);
+                for (const collection of response.MediaContainer.Metadata || []) {
+                    // Name the library when there are several, as collection names may repeat
+                    const suffix = sections.length > 1 ? ` (${section.title})` : '';
+                    const smart = collection.smart === true || collection.smart === '1' || collection.smart === 1;
+                    results.push({
+                        key: collection.key,
+                        title: `${collection.title || "Unknown"}${smart ? ' (Smart)' : ''}${suffix}`,
+                        kind: smart ? 'smart' : 'collection'
+                    });
+                }
             }
 
-            return (await collections).map(collection => ({
-                key: collection.key,
-                title: collection.title || "Unknown"
-            }));
+            const playlists = await plex.query('/playlists?playlistType=video');
+            for (const playlist of playlists.MediaContainer.Metadata || []) {
+                results.push({ key: playlist.key, title: `Playlist: ${playlist.title}`, kind: 'playlist' });
+            }
+
+            return results;
         } catch (error) {
             console.error("PlexService: Error getting collections", error);
             throw error;
@@ -88,43 +331,196 @@ export class PlexService {
     }
 
     /**
-     * Get items from a specific Plex collection.
-     * @param collectionKey The key/ID of the collection
+     * Get the libraries of the given content type with their genres, for building library queries.
+     * @param type ContentType (movie or series)
+     * @param serverId The server id (optional)
+     */
+    public async getLibraryOptions(type: ContentType, serverId?: string): Promise<(PlexSection & { genres: { key: string, title: string }[] })[]> {
+        const { plex } = await this.connect(serverId);
+        const sections = await this.getSections(plex, type);
+        return Promise.all(sections.map(async section => {
+            const response = await plex.query(`/library/sections/${section.key}/genre`);
+            const genres = (response.MediaContainer.Directory || []).map((g: any) => ({ key: String(g.key), title: g.title }));
+            return { ...section, genres };
+        }));
+    }
+
+    /**
+     * Build the path of an on-the-fly library query, usable wherever a collection key is.
+     * @param query The library query
+     * @param type ContentType (movie or series)
+     */
+    public buildQueryPath(query: PlexLibraryQuery, type: ContentType): string {
+        const params = new URLSearchParams({ type: type === ContentType.MOVIE ? '1' : '2' });
+        if (query.view === 'unwatched') params.set('unwatched', '1');
+        if (query.view === 'recentlyAdded') params.set('sort', 'addedAt:desc');
+        if (query.view === 'newest') params.set('sort', 'originallyAvailableAt:desc');
+        if (query.genre) params.set('genre', query.genre);
+        if (query.decade) params.set('decade', String(query.decade));
+
+        const filter = (query.filter || '').trim().replace(/^[?&]+/, '');
+        return `/library/sections/${encodeURIComponent(query.sectionKey)}/all?${params}${filter ? `&${filter}` : ''}`;
+    }
+
+    /**
+     * Get the path to read a Plex source list's items from.
+     * @param config The list config: `collectionId` for collections and playlists, `query` for library queries
+     * @param type ContentType (movie or series)
+     */
+    public getListKey(config: { collectionId?: string, query?: PlexLibraryQuery }, type: ContentType): string {
+        if (config.query) return this.buildQueryPath(config.query, type);
+        if (!config.collectionId) throw new Error("Missing Plex Collection ID");
+        return config.collectionId;
+    }
+
+    /**
+     * Get items from a specific Plex collection, playlist or library query.
+     * Items of another type (e.g. shows in a mixed playlist of a movie list, or episodes) are left out.
+     * @param collectionKey The key/ID of the collection (a Plex path, possibly with query parameters)
+     * @param type ContentType (movie or series)
      * @param limit limit items
+     * @param page 1-based page to fetch (page size is `limit`)
+     * @param serverId The server id (optional)
+     * @returns The items and whether more pages exist (counted before leaving items out)
      */
-    public async getListItems(collectionKey: string, limit: number = 50): Promise<MetaPreview[]> {
-        if (!process.env.PLEX_URL || !process.env.PLEX_TOKEN) {
-            throw new Error("Plex credentials (URL/Token) not configured");
-        }
-        this.plex = await this.makeConnection();
+    public async getListItems(collectionKey: string, type: ContentType, limit: number = 50, page: number = 1, serverId?: string): Promise<{ items: (MetaPreview & { details: ItemDetails, externalIds: ExternalIds })[], hasMore: boolean }> {
+        const { server, plex } = await this.connect(serverId);
         try {
             // We append ?includeGuids=1 to get external IDs (IMDB, TMDB, TVDB)
-            const response = await this.plex.query(collectionKey + "?includeGuids=1");
-            const items = response.MediaContainer.Metadata || [];
-
-            return items.slice(0, limit).map((item: any) => {
-                let id = item.ratingKey; // Default to internal Plex ID
-
-                // Try to find IMDB ID in Guids
-                if (item.Guid && Array.isArray(item.Guid)) {
-                    const imdbEntry = item.Guid.find((g: any) => g.id && g.id.startsWith('imdb://'));
-                    if (imdbEntry) {
-                        id = imdbEntry.id.replace('imdb://', '');
-                    }
-                }
+            // and let Plex do the paging with the container start/size parameters
+            const start = (page - 1) * limit;
+            const separator = collectionKey.includes('?') ? '&' : '?';
+            const response = await plex.query(`${collectionKey}${separator}includeGuids=1&X-Plex-Container-Start=${start}&X-Plex-Container-Size=${limit}`);
+            const container = response.MediaContainer;
+            const raw: any[] = (container.Metadata || []).slice(0, limit);
+            const hasMore = container.totalSize !== undefined ? start + raw.length < Number(container.totalSize) : raw.length >= limit;
+
+            // Playlists may also hold episodes, other media and titles of the other type
+            const plexType = type === ContentType.SERIES ? 'show' : 'movie';
+            const items = raw.filter(item => item.type === plexType).map((item: any) => {
+                // Use the IMDB ID from the Guids, defaulting to the internal Plex ID
+                const id = this.getGuid(item, 'imdb') || this.toItemId(server, item.ratingKey);
 
                 return {
                     id: id,
                     type: item.type == 'show' ? 'series' : 'movie',
                     name: item.title,
-                    description: item.summary
+                    description: item.summary,
+                    details: {
+                        rating: item.audienceRating ?? item.rating,
+                        year: item.year,
+                        genres: (item.Genre || []).map((g: any) => g.tag),
+                        runtime: item.duration ? Math.round(item.duration / 60000) : undefined,
+                        certification: item.contentRating
+                    },
+                    externalIds: { tmdb: this.getGuid(item, 'tmdb'), tvdb: this.getGuid(item, 'tvdb') }
                 };
             });
+            return { items, hasMore };
         } catch (error) {
             console.error(`PlexService: Error getting items for collection ${collectionKey}`, error);
-            return [];
+            return { items: [], hasMore: false };
         }
     }
+
+    /**
+     * Get the ids of every watched item in the movie or show libraries of every server.
+     * Movies count as watched once played; shows once every episode has been played.
+     * Items are identified as list items end up (IMDB id, also when resolved from a TMDB / TVDB id,
+     * or the Plex-prefixed rating key). Servers that cannot be reached are skipped.
+     * @param type ContentType (movie or series)
+     */
+    public async getWatchedIds(type: ContentType): Promise<string[]> {
+        const filter = type === ContentType.MOVIE ? 'viewCount>>=0' : 'unwatchedLeaves=0';
+        const ids: string[] = [];
+        for (const server of this.getServerConfigs()) {
+            try {
+                const plex = await this.makeConnection(server);
+                for (const section of await this.getSections(plex, type)) {
+                    const response = await plex.query(`/library/sections/${section.key}/all?includeGuids=1&${filter}`);
+                    const items: any[] = response.MediaContainer.Metadata || [];
+                    const unmatched = items.filter(item => !this.getGuid(item, 'imdb'));
+                    const resolved = await idResolverService.resolve(unmatched.map(item => ({
+                        ids: { tmdb: this.getGuid(item, 'tmdb'), tvdb: this.getGuid(item, 'tvdb') },
+                        type
+                    })));
+
+                    items.forEach(item => {
+                        const imdbId = this.getGuid(item, 'imdb') || resolved[unmatched.indexOf(item)];
+                        ids.push(imdbId || this.toItemId(server, item.ratingKey));
+                    });
+                }
+            } catch (error: any) {
+                console.error(`PlexService: Error getting watch state from ${server.name}`, error.message);
+            }
+        }
+        return ids;
+    }
+
+    /**
+     * Read an external id from an item's Guids, e.g. `imdb://tt0133093`.
+     * @param item The Plex item (requested with includeGuids=1)
+     * @param scheme The id type: 'imdb', 'tmdb' or 'tvdb'
+     */
+    private getGuid(item: any, scheme: 'imdb' | 'tmdb' | 'tvdb'): string | undefined {
+        const entry = (item.Guid || []).find((g: any) => typeof g.id === 'string' && g.id.startsWith(`${scheme}://`));
+        return entry ? entry.id.slice(scheme.length + 3) : undefined;
+    }
+
+    /**
+     * Connect to the server an item comes from.
+     * @param itemKey The item's id without the `plex_` prefix
+     */
+    private getItemServer(itemKey: string): Promise<{ server: PlexServerConfig, plex: PlexServer }> {
+        return this.connect(this.parseItemKey(itemKey).serverId);
+    }
+
+    /**
+     * Get metadata for a single Plex item.
+     * @param itemKey The item's id without the `plex_` prefix (its rating key, qualified by the server id for named servers)
+     * @returns The item's metadata, or null if Plex does not know it
+     */
+    public async getMeta(itemKey: string): Promise<{
+        type: string, title: string, summary?: string, year?: number, thumb?: string, art?: string,
+        genres: string[], rating?: number, duration?: number
+    } | null> {
+        const { plex } = await this.getItemServer(itemKey);
+        const { ratingKey } = this.parseItemKey(itemKey);
+        const response = await plex.query(`/library/metadata/${encodeURIComponent(ratingKey)}`);
+        const item = response.MediaContainer.Metadata?.[0];
+        if (!item) return null;
+
+        return {
+            type: item.type == 'show' ? 'series' : 'movie',
+            title: item.title,
+            summary: item.summary,
+            year: item.year,
+            thumb: item.thumb,
+            art: item.art,
+            genres: (item.Genre || []).map((g: any) => g.tag),
+            rating: item.audienceRating || item.rating,
+            duration: item.duration
+        };
+    }
+
+    /**
+     * Download artwork for a Plex item so it can be served without exposing the Plex token.
+     * @param itemKey The item's id without the `plex_` prefix (see `getMeta`)
+     * @param kind 'poster' for the thumbnail, 'background' for the fan art
+     * @returns The image bytes and content type, or null if the item has no such artwork
+     */
+    public async getArtwork(itemKey: string, kind: 'poster' | 'background'): Promise<{ data: Buffer, contentType: string } | null> {
+        const meta = await this.getMeta(itemKey);
+        const path = kind === 'poster' ? meta?.thumb : meta?.art;
+        if (!path) return null;
+
+        const { plex } = await this.getItemServer(itemKey);
+        const response = await axios.get(plex.url(path, true).toString(), { responseType: 'arraybuffer' });
+        return {
+            data: Buffer.from(response.data),
+            contentType: response.headers['content-type'] || 'image/jpeg'
+        };
+    }
 }
 
 export const plexService = new PlexService();
@@ -4,40 +4,49 @@
  * Manages background cron jobs.
  * 
  * Responsibilities:
- * 1. Initializes the auto-refresh schedule based on configuration.
+ * 1. Initializes the auto-refresh schedule of each profile based on its configuration.
  * 2. Updates the schedule dynamically when settings change.
- * 3. Invokes `CatalogService.refreshAllSlots` on the scheduled interval.
+ * 3. Invokes `CatalogService.refreshAllSlots` on the scheduled interval for slots that inherit it.
+ * 4. Runs a separate job for every slot with its own schedule: a cron job, or a one-off job that is
+ *    re-scheduled N hours after each run of an interval schedule.
  */
 import schedule from 'node-schedule';
-import { ConfigStore } from '../store/ConfigStore';
+import { ConfigStore, CatalogSlot, SlotSchedule } from '../store/ConfigStore';
 import { CatalogService } from './CatalogService';
 
 export class SchedulerService {
-    private static job: schedule.Job | null = null;
+    // One auto-refresh job per profile, keyed by profile token
+    private static jobs = new Map<string, schedule.Job>();
+    // Jobs of slots with their own schedule, keyed by `<profile token>:<slot ID>`
+    private static slotJobs = new Map<string, schedule.Job>();
+    private static lastRunTimes = new Map<string, number>();
+    // Last runs of slots with their own schedule, keyed by `<profile token>:<slot ID>`
+    private static slotLastRunTimes = new Map<string, number>();
 
     /**
-     * Initializes the scheduler with the auto-refresh schedule based on configuration.
+     * Initializes the scheduler with the auto-refresh schedule of every profile based on its configuration.
      */
     static init() {
-        const settings = ConfigStore.getSettings();
-        console.log(`[Scheduler] Initializing. Settings:`, settings);
-        if (settings && settings.refreshIntervalHours > 0) {
-            this.startSchedule(settings.refreshIntervalHours);
-        } else {
-            console.log("Auto-refresh is disabled on startup.");
+        for (const { token } of ConfigStore.getProfiles()) {
+            ConfigStore.runWithProfile(token, () => {
+                const settings = ConfigStore.getSettings();
+                console.log(`[Scheduler] Initializing profile ${token}. Settings:`, settings);
+                if (settings && settings.refreshIntervalHours > 0) {
+                    this.startSchedule(settings.refreshIntervalHours);
+                } else {
+                    console.log(`Auto-refresh is disabled on startup for profile ${token}.`);
+                }
+                this.syncSlotSchedules();
+            });
         }
     }
 
     /**
-     * Updates the auto-refresh schedule dynamically when settings change.
+     * Updates the active profile's auto-refresh schedule dynamically when settings change.
      * @param intervalHours The new interval in hours.
      */
     static updateSchedule(intervalHours: number) {
-        if (this.job) {
-            this.job.cancel();
-            this.job = null;
-            console.log("Existing auto-refresh schedule cancelled.");
-        }
+        this.cancelSchedule(ConfigStore.getProfileToken());
 
         if (intervalHours > 0) {
             this.startSchedule(intervalHours);
@@ -46,42 +55,163 @@ export class SchedulerService {
         }
     }
 
-    private static lastRunTime: number = 0;
+    /**
+     * Cancels a profile's auto-refresh schedule, e.g. when the profile is deleted.
+     * @param token The profile token.
+     * @param includeSlots Whether to also cancel the jobs of slots with their own schedule.
+     */
+    static cancelSchedule(token: string, includeSlots: boolean = false) {
+        const job = this.jobs.get(token);
+        if (job) {
+            job.cancel();
+            this.jobs.delete(token);
+            console.log(`Existing auto-refresh schedule cancelled for profile ${token}.`);
+        }
+
+        if (includeSlots) {
+            this.cancelSlotJobs(token);
+        }
+    }
+
+    /**
+     * Re-creates the jobs of the active profile's slots that have their own schedule.
+     * Call after slots are added, updated or deleted.
+     */
+    static syncSlotSchedules() {
+        const token = ConfigStore.getProfileToken();
+        this.cancelSlotJobs(token);
+
+        for (const slot of ConfigStore.getSlots()) {
+            if (slot.schedule) this.scheduleSlot(token, slot);
+        }
+    }
+
+    /**
+     * Creates the job of a slot with its own schedule.
+     * Cron schedules get a recurring job. Interval schedules get a one-off job at the slot's last run
+     * (or last rotation) plus the interval, which schedules the next one when it has run.
+     * @param token The profile token.
+     * @param slot The slot.
+     */
+    private static scheduleSlot(token: string, slot: CatalogSlot) {
+        const key = `${token}:${slot.id}`;
+        const intervalMs = (slot.schedule?.intervalHours || 0) * 60 * 60 * 1000;
+        const when = slot.schedule?.cron || (intervalMs > 0 ? new Date(Math.max(
+            (this.slotLastRunTimes.get(key) || slot.history?.[0]?.timestamp || Date.now()) + intervalMs,
+            Date.now() + 1000
+        )) : null);
+        if (!when) return;
+
+        const job = schedule.scheduleJob(when, () => ConfigStore.runWithProfile(token, async () => {
+            console.log(`[Scheduler] Auto-refreshing slot ${slot.alias} of profile ${token}...`);
+            try {
+                await CatalogService.refreshSlot(slot.id);
+            } finally {
+                this.slotLastRunTimes.set(key, Date.now());
+                if (!slot.schedule?.cron) {
+                    // Schedule the next run, unless the slot was changed or removed meanwhile
+                    const current = ConfigStore.getSlots().find(s => s.id === slot.id);
+                    if (current?.schedule && this.slotJobs.get(key) === job) this.scheduleSlot(token, current);
+                }
+            }
+        }));
+
+        if (job) {
+            this.slotJobs.set(key, job);
+            console.log(`Scheduled slot ${slot.alias}: ${typeof when === 'string' ? when : `next run at ${when.toISOString()}`}`);
+        } else {
+            console.error(`Invalid schedule for slot ${slot.alias}: ${when}`);
+        }
+    }
+
+    /**
+     * Checks whether a slot schedule can be scheduled.
+     * @param slotSchedule The slot schedule.
+     * @returns True if the schedule has a valid cron expression, or a positive interval.
+     */
+    static isValidSchedule(slotSchedule: SlotSchedule): boolean {
+        if (!slotSchedule.cron) return Number(slotSchedule.intervalHours) > 0;
+
+        const probe = new schedule.Job(() => { });
+        const valid = probe.schedule(slotSchedule.cron);
+        probe.cancel();
+        return valid;
+    }
+
+    /**
+     * Gets the next refresh time of every slot in the active profile.
+     * Slots without their own schedule report the global schedule's next run.
+     * @returns Next invocation times in milliseconds since the epoch (or null), keyed by slot ID.
+     */
+    static getSlotNextInvocations(): Record<string, number | null> {
+        const token = ConfigStore.getProfileToken();
+        const globalNext = this.getNextInvocation();
+
+        return Object.fromEntries(ConfigStore.getSlots().map(slot => {
+            if (!slot.schedule) return [slot.id, globalNext];
+            const next = this.slotJobs.get(`${token}:${slot.id}`)?.nextInvocation();
+            return [slot.id, next ? next.getTime() : null];
+        }));
+    }
+
+    /**
+     * Cancels the jobs of every slot in a profile.
+     * @param token The profile token.
+     */
+    private static cancelSlotJobs(token: string) {
+        for (const [key, job] of this.slotJobs) {
+            if (key.startsWith(`${token}:`)) {
+                job.cancel();
+                this.slotJobs.delete(key);
+            }
+        }
+        // Last runs are kept while the profile exists, so re-syncing does not postpone interval schedules
+        if (!ConfigStore.hasProfile(token)) {
+            for (const key of this.slotLastRunTimes.keys()) {
+                if (key.startsWith(`${token}:`)) this.slotLastRunTimes.delete(key);
+            }
+        }
+    }
 
     /**
-     * Gets the last run time of the auto-refresh schedule.
+     * Gets the last run time of the active profile's auto-refresh schedule.
      * @returns The last run time in milliseconds since the epoch.
      */
     static getLastRunTime(): number {
-        return this.lastRunTime;
+        return this.lastRunTimes.get(ConfigStore.getProfileToken()) || 0;
     }
 
     /**
-     * Gets the next invocation time of the auto-refresh schedule.
+     * Gets the next invocation time of the active profile's auto-refresh schedule.
      * @returns The next invocation time in milliseconds since the epoch, or null if the schedule is not running.
      */
     static getNextInvocation(): number | null {
-        if (!this.job) return null;
-        const next = this.job.nextInvocation();
+        const job = this.jobs.get(ConfigStore.getProfileToken());
+        if (!job) return null;
+        const next = job.nextInvocation();
         return next ? next.getTime() : null;
     }
 
     /**
-     * Starts the auto-refresh schedule.
+     * Starts the auto-refresh schedule for the active profile.
      * @param intervalHours The interval in hours.
      */
     private static startSchedule(intervalHours: number) {
-        console.log(`Starting auto-refresh schedule: Every ${intervalHours} hours.`);
+        const token = ConfigStore.getProfileToken();
+        console.log(`Starting auto-refresh schedule for profile ${token}: Every ${intervalHours} hours.`);
 
         // Run at second 0, minute 0, past every Nth hour
         const cronExpression = `0 0 */${intervalHours} * * *`;
 
         try {
-            this.job = schedule.scheduleJob(cronExpression, async () => {
-                console.log(`[Scheduler] Auto-refreshing all slots (Interval: ${intervalHours}h)...`);
-                await CatalogService.refreshAllSlots();
-                this.lastRunTime = Date.now();
-            });
+            const job = schedule.scheduleJob(cronExpression, () => ConfigStore.runWithProfile(token, async () => {
+                // Slots with their own schedule are refreshed by their own jobs
+                const inheritingSlotIds = ConfigStore.getSlots().filter(s => !s.schedule).map(s => s.id);
+                console.log(`[Scheduler] Auto-refreshing ${inheritingSlotIds.length} slots of profile ${token} (Interval: ${intervalHours}h)...`);
+                await CatalogService.refreshAllSlots(inheritingSlotIds);
+                this.lastRunTimes.set(token, Date.now());
+            }));
+            this.jobs.set(token, job);
             console.log(`Scheduled job created with expression: ${cronExpression}`);
         } catch (e) {
             console.error("Failed to schedule job", e);
@@ -0,0 +1,303 @@
+/**
+ * TmdbService.ts
+ *
+ * TMDB API Client.
+ *
+ * Responsibilities:
+ * 1. Fetches public TMDB lists, the trending / now-playing / upcoming feeds and saved discover queries.
+ * 2. Normalizes TMDB responses into meta previews with filter details. Items carry their TMDB id;
+ *    the IdResolverService maps it to an IMDB id.
+ * 3. Looks up the IMDB ids of TMDB and TVDB ids for the IdResolverService.
+ */
+import axios, { AxiosInstance } from 'axios';
+import { ContentType } from '../store/ConfigStore';
+import { ItemDetails } from './FilterService';
+
+export type TmdbFeed = 'list' | 'trending' | 'now_playing' | 'upcoming' | 'discover';
+
+export interface TmdbListConfig {
+    feed: TmdbFeed;
+    listId?: string; // 'list' feed
+    timeWindow?: 'day' | 'week'; // 'trending' feed
+    // 'discover' feed
+    genres?: string; // Comma separated genre names or ids
+    year?: number;
+    language?: string; // ISO 639-1 original language, e.g. 'ko'
+    providers?: string; // Comma separated watch provider names or ids
+    region?: string; // ISO 3166-1 region for providers (default DEFAULT_REGION)
+    sortBy?: string; // e.g. 'popularity.desc', 'vote_average.desc'
+}
+
+const IMAGE_BASE = 'https://image.tmdb.org/t/p/w500';
+const PAGE_SIZE = 20; // Fixed by TMDB
+const MAX_PAGE = 500; // TMDB rejects later pages
+const DEFAULT_REGION = 'US';
+
+export class TmdbService {
+    private client: AxiosInstance;
+    private apiKey: string = '';
+    private genres = new Map<string, Promise<Map<number, string>>>(); // media type -> id -> name
+    private providers = new Map<string, Promise<Map<string, number>>>(); // '<media>:<region>' -> name -> id
+
+    /**
+     * Initializes the TmdbService with an Axios instance and API key.
+     */
+    constructor() {
+        this.client = axios.create({
+            baseURL: 'https://api.themoviedb.org/3'
+        });
+
+        if (process.env.TMDB_API_KEY) {
+            this.setApiKey(process.env.TMDB_API_KEY);
+        }
+    }
+
+    /**
+     * Sets the API key for the TmdbService. Accepts either a v3 API key or a v4 read access token.
+     * @param key The API key to set.
+     */
+    setApiKey(key: string) {
+        this.apiKey = key;
+        console.log("TMDB API Key configured");
+    }
+
+    /**
+     * Checks whether an API key is configured.
+     */
+    isConfigured(): boolean {
+        return !!this.apiKey;
+    }
+
+    /**
+     * Fetches a page of items from a TMDB source. Items have no id yet: their TMDB id is in `externalIds`.
+     * @param config The TMDB list configuration.
+     * @param contentType The content type of the list.
+     * @param limit The page size.
+     * @param page The 1-based page to fetch (page size is `limit`).
+     * @returns A promise that resolves to the meta previews and whether more pages exist.
+     */
+    async getListItems(config: TmdbListConfig, contentType: ContentType, limit: number, page: number = 1): Promise<{ items: any[], hasMore: boolean }> {
+        if (!this.apiKey) throw new Error('TMDB API Key not set');
+
+        const media = contentType === ContentType.SERIES ? 'tv' : 'movie';
+        const { path, params } = await this.getEndpoint(config, media);
+
+        try {
+            const { results, total } = await this.fetchRange(path, params, (page - 1) * limit, limit);
+            const matching = results.filter(r => (r.media_type || media) === media);
+            const genres = await this.getGenres(media);
+
+            const items = matching.map(r => ({
+                id: '',
+                type: contentType,
+                name: r.title || r.name,
+                poster: r.poster_path ? `${IMAGE_BASE}${r.poster_path}` : '',
+                description: r.overview || '',
+                details: this.getDetails(r, genres),
+                externalIds: { tmdb: r.id }
+            }));
+
+            return { items, hasMore: page * limit < Math.min(total, MAX_PAGE * PAGE_SIZE) };
+        } catch (e: any) {
+            console.error(`TMDB fetch failed for ${path}:`, e.message);
+            throw new Error(`Failed to fetch TMDB: ${e.response?.status === 404 ? 'List not found' : e.message}`);
+        }
+    }
+
+    /**
+     * Builds the endpoint and query parameters of a TMDB source.
+     * @param config The TMDB list configuration.
+     * @param media The TMDB media type.
+     * @returns The path and parameters.
+     */
+    private async getEndpoint(config: TmdbListConfig, media: string): Promise<{ path: string, params: Record<string, any> }> {
+        switch (config.feed) {
+            case 'list':
+                if (!config.listId) throw new Error("TMDB list requires a List ID");
+                return { path: `/list/${encodeURIComponent(config.listId)}`, params: {} };
+            case 'trending':
+                return { path: `/trending/${media}/${config.timeWindow === 'day' ? 'day' : 'week'}`, params: {} };
+            case 'now_playing':
+                return { path: media === 'movie' ? '/movie/now_playing' : '/tv/on_the_air', params: {} };
+            case 'upcoming': {
+                if (media === 'movie') return { path: '/movie/upcoming', params: {} };
+                // TMDB has no upcoming TV feed: discover shows premiering from tomorrow
+                const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+                return { path: '/discover/tv', params: { 'first_air_date.gte': tomorrow, sort_by: 'popularity.desc' } };
+            }
+            case 'discover':
+                return { path: `/discover/${media}`, params: await this.getDiscoverParams(config, media) };
+            default:
+                throw new Error(`Unknown TMDB feed: ${config.feed}`);
+        }
+    }
+
+    /**
+     * Converts a saved discover query into TMDB query parameters.
+     * @param config The TMDB list configuration.
+     * @param media The TMDB media type.
+     * @returns The query parameters.
+     */
+    private async getDiscoverParams(config: TmdbListConfig, media: string): Promise<Record<string, any>> {
+        let sortBy = config.sortBy || 'popularity.desc';
+        if (media === 'tv') sortBy = sortBy.replace('primary_release_date', 'first_air_date');
+        const params: Record<string, any> = { sort_by: sortBy };
+
+        const genreNames = this.splitValues(config.genres);
+        if (genreNames.length) {
+            const byName = new Map(Array.from(await this.getGenres(media)).map(([id, name]) => [name.toLowerCase(), id]));
+            params.with_genres = genreNames.map(g => {
+                const id = /^\d+$/.test(g) ? Number(g) : byName.get(g.toLowerCase());
+                if (!id) throw new Error(`Unknown TMDB genre: ${g}`);
+                return id;
+            }).join('|');
+        }
+
+        if (config.year) params[media === 'movie' ? 'primary_release_year' : 'first_air_date_year'] = config.year;
+        if (config.language) params.with_original_language = config.language.toLowerCase();
+
+        const providerNames = this.splitValues(config.providers);
+        if (providerNames.length) {
+            const region = (config.region || DEFAULT_REGION).toUpperCase();
+            const byName = await this.getProviders(media, region);
+            params.with_watch_providers = providerNames.map(p => {
+                const id = /^\d+$/.test(p) ? Number(p) : byName.get(p.toLowerCase());
+                if (!id) throw new Error(`Unknown TMDB watch provider in ${region}: ${p}`);
+                return id;
+            }).join('|');
+            params.watch_region = region;
+        }
+
+        return params;
+    }
+
+    /**
+     * Fetches the results between `offset` and `offset + count` of a paged TMDB endpoint.
+     * @param path The endpoint path.
+     * @param params The query parameters.
+     * @param offset The index of the first result.
+     * @param count The number of results.
+     * @returns A promise that resolves to the results and the total number of results.
+     */
+    private async fetchRange(path: string, params: Record<string, any>, offset: number, count: number): Promise<{ results: any[], total: number }> {
+        const firstPage = Math.floor(offset / PAGE_SIZE) + 1;
+        const lastPage = Math.min(Math.ceil((offset + count) / PAGE_SIZE), MAX_PAGE);
+
+        const results: any[] = [];
+        let total = 0;
+        for (let page = firstPage; page <= lastPage; page++) {
+            const data = await this.get(path, { ...params, page });
+            // Lists return `items` and `item_count`, feeds `results` and `total_results`
+            results.push(...(data.results || data.items || []));
+            total = data.total_results ?? data.item_count ?? 0;
+            if (page >= (data.total_pages || 1)) break;
+        }
+
+        const start = offset - (firstPage - 1) * PAGE_SIZE;
+        return { results: results.slice(start, start + count), total };
+    }
+
+    /**
+     * Looks up the IMDB id of a TMDB or TVDB id (`external_ids`, after a `find` for TVDB ids).
+     * @param source The id type.
+     * @param id The id.
+     * @param contentType The content type.
+     * @returns A promise that resolves to the IMDB id, or null if TMDB has none.
+     */
+    async findImdbId(source: 'tmdb' | 'tvdb', id: string, contentType: ContentType): Promise<string | null> {
+        if (!this.apiKey) throw new Error('TMDB API Key not set');
+        const media = contentType === ContentType.SERIES ? 'tv' : 'movie';
+
+        let tmdbId = id;
+        if (source === 'tvdb') {
+            const data = await this.get(`/find/${encodeURIComponent(id)}`, { external_source: 'tvdb_id' });
+            const match = (media === 'tv' ? data.tv_results : data.movie_results)?.[0];
+            if (!match) return null;
+            tmdbId = String(match.id);
+        }
+
+        const data = await this.get(`/${media}/${encodeURIComponent(tmdbId)}/external_ids`);
+        return data.imdb_id || null;
+    }
+
+    /**
+     * Gets TMDB's genre names for a media type (fetched once).
+     * @param media The TMDB media type.
+     * @returns A promise that resolves to a map of genre id to name.
+     */
+    private getGenres(media: string): Promise<Map<number, string>> {
+        if (!this.genres.has(media)) {
+            const pending = this.get(`/genre/${media}/list`)
+                .then(data => new Map<number, string>((data.genres || []).map((g: any) => [g.id, g.name])))
+                .catch(e => {
+                    this.genres.delete(media);
+                    throw e;
+                });
+            this.genres.set(media, pending);
+        }
+        return this.genres.get(media)!;
+    }
+
+    /**
+     * Gets the watch providers available in a region (fetched once per region).
+     * @param media The TMDB media type.
+     * @param region The ISO 3166-1 region.
+     * @returns A promise that resolves to a map of lower-cased provider name to id.
+     */
+    private getProviders(media: string, region: string): Promise<Map<string, number>> {
+        const key = `${media}:${region}`;
+        if (!this.providers.has(key)) {
+            const pending = this.get(`/watch/providers/${media}`, { watch_region: region })
+                .then(data => new Map<string, number>((data.results || []).map((p: any) => [p.provider_name.toLowerCase(), p.provider_id])))
+                .catch(e => {
+                    this.providers.delete(key);
+                    throw e;
+                });
+            this.providers.set(key, pending);
+        }
+        return this.providers.get(key)!;
+    }
+
+    /**
+     * Extracts filter metadata from a TMDB result.
+     * @param result The TMDB movie or show.
+     * @param genres The genre names by id.
+     * @returns The item details.
+     */
+    private getDetails(result: any, genres: Map<number, string>): ItemDetails {
+        const date: string = result.release_date || result.first_air_date || '';
+        return {
+            rating: result.vote_average,
+            year: date ? parseInt(date.slice(0, 4)) : undefined,
+            genres: (result.genre_ids || []).map((id: number) => genres.get(id)).filter(Boolean),
+            language: result.original_language
+        };
+    }
+
+    /**
+     * Splits a comma separated config value.
+     * @param value The value.
+     * @returns The trimmed, non-empty parts.
+     */
+    private splitValues(value?: string): string[] {
+        return (value || '').split(',').map(v => v.trim()).filter(v => v);
+    }
+
+    /**
+     * Performs an authenticated GET request. v4 read access tokens (JWTs) are sent as a bearer token,
+     * v3 API keys as the `api_key` parameter.
+     * @param path The endpoint path.
+     * @param params The query parameters.
+     * @returns A promise that resolves to the response body.
+     */
+    private async get(path: string, params: Record<string, any> = {}): Promise<any> {
+        const isToken = this.apiKey.startsWith('eyJ');
+        const response = await this.client.get(path, {
+            params: isToken ? params : { ...params, api_key: this.apiKey },
+            headers: isToken ? { Authorization: `Bearer ${this.apiKey}` } : {}
+        });
+        return response.data;
+    }
+}
+
+export const tmdbService = new TmdbService();
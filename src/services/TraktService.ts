@@ -5,15 +5,37 @@
  * 
  * Responsibilities:
  * 1. Fetches User Lists and Trending APIs from Trakt.
- * 2. Handles API authentication (Client ID).
- * 3. Normalizes Trakt responses (movies/shows) into a standard format.
+ * 2. Handles API authentication (Client ID) and the OAuth device-code flow that connects
+ *    a Trakt account to the active profile. Access tokens are refreshed automatically.
+ * 3. Fetches account-specific feeds (recommendations, collection, watchlist, private lists)
+ *    and the account's watch history.
+ * 4. Normalizes Trakt responses (movies/shows) into a standard format.
  */
 import axios, { AxiosInstance } from 'axios';
-import { DEFAULT_ITEM_LIMIT } from '../store/ConfigStore';
+import { ConfigStore, DEFAULT_ITEM_LIMIT, TraktAuth, ItemFilters } from '../store/ConfigStore';
+import { FilterService } from './FilterService';
+
+/** Default list types that read the connected account and require OAuth. */
+export const TRAKT_ACCOUNT_LIST_TYPES = ['recommendations', 'collection', 'watchlist', 'private_list'];
+
+/** Time windows accepted by the period list types (favorited, watched, collected, played). */
+export const TRAKT_PERIODS = ['daily', 'weekly', 'monthly', 'yearly', 'all'];
+
+// Lists feeds: how many lists without items of the requested kind to skip before giving up
+const MAX_FEED_LISTS_SKIPPED = 5;
+
+// Tokens are refreshed when they expire within this window
+const TOKEN_REFRESH_MARGIN_MS = 24 * 60 * 60 * 1000;
+
+export type DeviceAuthStatus = 'pending' | 'slow_down' | 'authorized' | 'expired' | 'denied' | 'invalid';
 
 export class TraktService {
     private client: AxiosInstance;
     private clientId: string = '';
+    private clientSecret: string = '';
+    private pendingRefreshes = new Map<string, Promise<TraktAuth>>();
+    // Lists feeds: the Trakt list picked on page 1, keyed by `<profile token>:<selection key>`
+    private feedSelections = new Map<string, number>();
 
     /**
      * Initializes the TraktService with an Axios instance and API key.
@@ -29,20 +51,213 @@ export class TraktService {
         });
 
         if (process.env.TRAKT_CLIENT_ID) {
-            this.setCredentials(process.env.TRAKT_CLIENT_ID);
+            this.setCredentials(process.env.TRAKT_CLIENT_ID, process.env.TRAKT_CLIENT_SECRET);
         }
     }
 
     /**
      * Sets the API key for the TraktService.
      * @param clientId The API key to set.
+     * @param clientSecret The client secret, required to connect Trakt accounts.
      */
-    setCredentials(clientId: string) {
+    setCredentials(clientId: string, clientSecret: string = '') {
         this.clientId = clientId;
+        this.clientSecret = clientSecret;
         this.client.defaults.headers.common['trakt-api-key'] = clientId;
         console.log("Trakt Client ID configured");
     }
 
+    // --- OAuth (device code flow) ---
+
+    /**
+     * Gets the Trakt connection status of the active profile.
+     * @returns Whether accounts can be connected, whether this profile is connected, and as whom.
+     */
+    getAuthStatus() {
+        const auth = ConfigStore.getData().trakt;
+        return {
+            configured: !!(this.clientId && this.clientSecret),
+            connected: !!auth,
+            username: auth?.username
+        };
+    }
+
+    /**
+     * Starts the device-code flow. The user enters the returned code at the verification URL,
+     * then the client polls `pollDeviceAuth` every `interval` seconds.
+     * @returns The device code, user code, verification URL, expiry and poll interval (seconds).
+     */
+    async startDeviceAuth() {
+        if (!this.clientId || !this.clientSecret) throw new Error("Trakt Client ID and Secret not configured");
+        const response = await this.client.post('/oauth/device/code', { client_id: this.clientId });
+        const { device_code, user_code, verification_url, expires_in, interval } = response.data;
+        return {
+            deviceCode: device_code,
+            userCode: user_code,
+            verificationUrl: verification_url,
+            expiresIn: expires_in,
+            interval
+        };
+    }
+
+    /**
+     * Checks once whether the user has approved a device code. On approval the tokens are
+     * stored in the active profile.
+     * @param deviceCode The device code returned by `startDeviceAuth`.
+     * @returns The authorization status.
+     */
+    async pollDeviceAuth(deviceCode: string): Promise<DeviceAuthStatus> {
+        if (!this.clientId || !this.clientSecret) throw new Error("Trakt Client ID and Secret not configured");
+        try {
+            const response = await this.client.post('/oauth/device/token', {
+                code: deviceCode,
+                client_id: this.clientId,
+                client_secret: this.clientSecret
+            });
+            const auth = this.toAuth(response.data);
+            auth.username = await this.getUsername(auth.accessToken);
+            ConfigStore.getData().trakt = auth;
+            await ConfigStore.saveConfig();
+            console.log(`Trakt account ${auth.username || ''} connected to profile ${ConfigStore.getProfileToken()}`);
+            return 'authorized';
+        } catch (error: any) {
+            switch (error.response?.status) {
+                case 400: return 'pending';
+                case 429: return 'slow_down';
+                case 404:
+                case 409: return 'invalid';
+                case 410: return 'expired';
+                case 418: return 'denied';
+                default: throw error;
+            }
+        }
+    }
+
+    /**
+     * Disconnects the active profile's Trakt account and revokes its token.
+     */
+    async disconnect() {
+        const data = ConfigStore.getData();
+        const auth = data.trakt;
+        if (!auth) return;
+
+        try {
+            await this.client.post('/oauth/revoke', {
+                token: auth.accessToken,
+                client_id: this.clientId,
+                client_secret: this.clientSecret
+            });
+        } catch (error: any) {
+            console.error(`Failed to revoke Trakt token: ${error.message}`);
+        }
+
+        data.trakt = undefined;
+        await ConfigStore.saveConfig();
+    }
+
+    /**
+     * Builds the Authorization header for the active profile, refreshing the token when it is about to expire.
+     * @param required Whether to throw when no account is connected (otherwise returns no header).
+     * @returns The headers to add to the request.
+     */
+    private async getAuthHeaders(required: boolean): Promise<Record<string, string>> {
+        const data = ConfigStore.getData();
+        if (!data.trakt) {
+            if (required) throw new Error("Trakt account not connected");
+            return {};
+        }
+
+        let auth = data.trakt;
+        if (auth.expiresAt - Date.now() < TOKEN_REFRESH_MARGIN_MS) {
+            auth = await this.refreshToken(auth);
+        }
+        return { Authorization: `Bearer ${auth.accessToken}` };
+    }
+
+    /**
+     * Exchanges the active profile's refresh token for a new access token and stores it.
+     * Concurrent refreshes of the same profile share a single request.
+     * @param auth The current tokens.
+     * @returns The new tokens.
+     */
+    private async refreshToken(auth: TraktAuth): Promise<TraktAuth> {
+        const token = ConfigStore.getProfileToken();
+        const pending = this.pendingRefreshes.get(token);
+        if (pending) return pending;
+
+        const task = (async () => {
+            try {
+                console.log(`Refreshing Trakt token for profile ${token}`);
+                const response = await this.client.post('/oauth/token', {
+                    refresh_token: auth.refreshToken,
+                    client_id: this.clientId,
+                    client_secret: this.clientSecret,
+                    redirect_uri: 'urn:ietf:wg:oauth:2.0:oob',
+                    grant_type: 'refresh_token'
+                });
+                const refreshed = { ...this.toAuth(response.data), username: auth.username };
+                ConfigStore.getData().trakt = refreshed;
+                await ConfigStore.saveConfig();
+                return refreshed;
+            } catch (error: any) {
+                throw new Error(`Trakt token refresh failed, please reconnect your account (${error.message})`);
+            } finally {
+                this.pendingRefreshes.delete(token);
+            }
+        })();
+
+        this.pendingRefreshes.set(token, task);
+        return task;
+    }
+
+    /**
+     * Converts a Trakt token response into stored tokens.
+     * @param data The token response.
+     * @returns The tokens with an absolute expiry time.
+     */
+    private toAuth(data: any): TraktAuth {
+        return {
+            accessToken: data.access_token,
+            refreshToken: data.refresh_token,
+            expiresAt: (data.created_at * 1000 || Date.now()) + data.expires_in * 1000
+        };
+    }
+
+    /**
+     * Looks up the username of a freshly connected account.
+     * @param accessToken The access token.
+     * @returns The username, or undefined if the lookup failed.
+     */
+    private async getUsername(accessToken: string): Promise<string | undefined> {
+        try {
+            const response = await this.client.get('/users/settings', {
+                headers: { Authorization: `Bearer ${accessToken}` }
+            });
+            return response.data?.user?.username;
+        } catch (error: any) {
+            console.error(`Failed to fetch Trakt username: ${error.message}`);
+            return undefined;
+        }
+    }
+
+    /**
+     * Fetches the connected account's own lists, including private ones.
+     * @returns An array of lists (name, Trakt ID, slug, privacy and item count).
+     */
+    async getUserLists() {
+        if (!this.clientId) throw new Error("Trakt Client ID not configured");
+        const response = await this.client.get('/users/me/lists', {
+            headers: await this.getAuthHeaders(true)
+        });
+        return response.data.map((l: any) => ({
+            id: String(l.ids?.trakt),
+            slug: l.ids?.slug,
+            name: l.name,
+            privacy: l.privacy,
+            itemCount: l.item_count
+        }));
+    }
+
     /**
      * Fetches trending movies from Trakt.
      * @returns An array of trending movies.
@@ -58,13 +273,16 @@ export class TraktService {
      * @param username The username of the list owner.
      * @param listId The ID of the list.
      * @param limit The maximum number of items to fetch.
+     * @param page The 1-based page to fetch (page size is `limit`).
      * @returns An array of list items.
      */
-    async getListItems(username: string, listId: string, limit: number = DEFAULT_ITEM_LIMIT) {
+    async getListItems(username: string, listId: string, limit: number = DEFAULT_ITEM_LIMIT, page: number = 1) {
         if (!this.clientId) throw new Error("Trakt Client ID not configured");
         // e.g. /users/id/lists/id/items
+        // Authenticated requests can also read the connected account's private lists
         const response = await this.client.get(`/users/${username}/lists/${listId}/items`, {
-            params: { limit }
+            params: { limit, page, extended: 'full' },
+            headers: await this.getAuthHeaders(false)
         });
         return response.data;
     }
@@ -74,40 +292,173 @@ export class TraktService {
      * @param type The type of list to fetch.
      * @param kind The kind of list to fetch (movie or series).
      * @param limit The maximum number of items to fetch.
+     * @param page The 1-based page to fetch (page size is `limit`).
+     * @param options `listId`: the Trakt ID of the list, for the `private_list` type.
+     *   `period`: the time window for the period types (default weekly).
+     *   `filters`: item filters, sent to Trakt for the public feeds that support them.
+     *   `selectionKey`: for the lists feeds, identifies the source list, so its later pages stay on the Trakt list picked on page 1.
      * @returns An array of default lists.
      */
-    async getDefaultList(type: string, kind: string = 'movie', limit: number = DEFAULT_ITEM_LIMIT) {
+    async getDefaultList(type: string, kind: string = 'movie', limit: number = DEFAULT_ITEM_LIMIT, page: number = 1,
+        options: { listId?: string, period?: string, filters?: ItemFilters, selectionKey?: string } = {}) {
         if (!this.clientId) throw new Error("Trakt Client ID not configured");
         // Map user-friendly types to Trakt API endpoints
-        // Types: trending, popular, streaming, favorited, watched
+        // Types: trending, popular, streaming, anticipated, boxoffice
+        // Period types: favorited, watched, collected, played
+        // List feeds: trending_lists, popular_lists
+        // Account types: recommendations, collection, watchlist, private_list
         const base = kind === 'series' ? 'shows' : 'movies';
+        const period = TRAKT_PERIODS.includes(options.period || '') ? options.period : 'weekly';
         let endpoint = `/${base}/trending`;
 
         switch (type) {
             case 'trending': endpoint = `/${base}/trending`; break;
             case 'popular': endpoint = `/${base}/popular`; break;
             case 'streaming': endpoint = `/${base}/streaming`; break;
-            case 'favorited': endpoint = `/${base}/favorited/weekly`; break;
-            case 'watched': endpoint = `/${base}/watched/weekly`; break;
+            case 'anticipated': endpoint = `/${base}/anticipated`; break;
+            case 'boxoffice':
+                if (kind === 'series') throw new Error("Box office is only available for movies");
+                endpoint = '/movies/boxoffice';
+                break;
+            case 'favorited':
+            case 'watched':
+            case 'collected':
+            case 'played':
+                endpoint = `/${base}/${type}/${period}`;
+                break;
+            case 'trending_lists':
+            case 'popular_lists':
+                return this.getListFeedItems(type === 'trending_lists' ? 'trending' : 'popular', kind, limit, page, options.selectionKey || type);
+            case 'recommendations': endpoint = `/recommendations/${base}`; break;
+            case 'collection': endpoint = `/sync/collection/${base}`; break;
+            case 'watchlist': endpoint = `/sync/watchlist/${base}`; break;
+            case 'private_list':
+                if (!options.listId) throw new Error("Missing Trakt list ID");
+                endpoint = `/users/me/lists/${options.listId}/items/${kind === 'series' ? 'show' : 'movie'}`;
+                break;
             default: endpoint = `/${base}/trending`;
         }
 
+        const headers = await this.getAuthHeaders(TRAKT_ACCOUNT_LIST_TYPES.includes(type));
         let params;
 
-        if (type === 'popular') {
-            params = { limit: limit, extended: 'full', years: '1970-2025' };
+        if (type === 'recommendations') {
+            // Not paginated; Trakt returns at most 100 recommendations
+            if (page > 1) return [];
+            params = { limit: Math.min(limit, 100), ignore_collected: true, extended: 'full' };
+        }
+        else if (type === 'boxoffice') {
+            // Not paginated; always the current top 10
+            if (page > 1) return [];
+            params = { extended: 'full' };
+        }
+        else if (type === 'collection') {
+            // Not paginated; the whole collection is returned and paged here
+            params = { extended: 'full' };
+        }
+        else if (TRAKT_ACCOUNT_LIST_TYPES.includes(type)) {
+            params = { limit: limit, page: page, extended: 'full' };
         }
         else {
-            params = { limit: limit, extended: 'full' };
+            params = { limit: limit, page: page, extended: 'full', ...FilterService.toTraktParams(options.filters) };
         }
 
-        console.log(`Fetching Default Trakt List: ${type} (${kind}) -> ${endpoint}`);
+        console.log(`Fetching Default Trakt List: ${type} (${kind}) -> ${endpoint} (page ${page})`);
         const response = await this.client.get(endpoint, {
-            params: params
+            params: params,
+            headers
         });
+
+        if (type === 'collection') {
+            return response.data.slice((page - 1) * limit, page * limit);
+        }
         return response.data;
     }
 
+    /**
+     * Fetches items from Trakt's trending or popular lists feed. Page 1 picks the first list in the
+     * feed with items of the requested kind (skipping up to MAX_FEED_LISTS_SKIPPED lists); later
+     * pages are pages of that same list, even if the feed has changed meanwhile.
+     * @param feed The feed ('trending' or 'popular').
+     * @param kind The kind of items (movie or series).
+     * @param limit The maximum number of items to fetch.
+     * @param page The 1-based page to fetch.
+     * @param selectionKey Identifies the source list the pages belong to.
+     * @returns An array of list items.
+     */
+    private async getListFeedItems(feed: string, kind: string, limit: number, page: number, selectionKey: string) {
+        const itemType = kind === 'series' ? 'show' : 'movie';
+        const key = `${ConfigStore.getProfileToken()}:${selectionKey}`;
+        const fetchPage = async (traktListId: number, listPage: number) => (await this.client.get(`/lists/${traktListId}/items/${itemType}`, {
+            params: { limit, page: listPage, extended: 'full' }
+        })).data;
+
+        const picked = this.feedSelections.get(key);
+        if (page > 1 && picked !== undefined) return fetchPage(picked, page);
+
+        for (let position = 1; position <= MAX_FEED_LISTS_SKIPPED; position++) {
+            const feedResponse = await this.client.get(`/lists/${feed}`, { params: { limit: 1, page: position } });
+            const list = feedResponse.data[0]?.list;
+            if (!list) break;
+
+            const items = await fetchPage(list.ids.trakt, 1);
+            if (items.length > 0) {
+                console.log(`Picked Trakt ${feed} list #${position}: ${list.name}`);
+                this.feedSelections.set(key, list.ids.trakt);
+                return page > 1 ? fetchPage(list.ids.trakt, page) : items;
+            }
+        }
+        this.feedSelections.delete(key);
+        return [];
+    }
+
+    /**
+     * Fetches the IMDB ids of everything the connected account has watched.
+     * Shows count as watched once every aired episode has been watched.
+     * @param kind The kind of items (movie or series).
+     * @returns The watched IMDB ids.
+     */
+    async getWatchedIds(kind: string = 'movie'): Promise<string[]> {
+        if (!this.clientId) throw new Error("Trakt Client ID not configured");
+        const base = kind === 'series' ? 'shows' : 'movies';
+        const response = await this.client.get(`/sync/watched/${base}`, {
+            params: kind === 'series' ? { extended: 'full' } : {},
+            headers: await this.getAuthHeaders(true)
+        });
+
+        return response.data
+            .filter((w: any) => {
+                if (!w.show) return true;
+                const watchedEpisodes = (w.seasons || []).reduce((sum: number, season: any) => sum + (season.episodes?.length || 0), 0);
+                return watchedEpisodes >= (w.show.aired_episodes || Infinity);
+            })
+            .map((w: any) => (w.movie || w.show)?.ids?.imdb)
+            .filter((id: string | undefined) => id);
+    }
+
+    /**
+     * Checks whether a Client ID is configured.
+     */
+    isConfigured(): boolean {
+        return !!this.clientId;
+    }
+
+    /**
+     * Looks up the IMDB id of a movie or show by its TMDB or TVDB id.
+     * @param source The id type.
+     * @param id The id.
+     * @param kind The kind of item (movie or series).
+     * @returns The IMDB id, or null if Trakt does not know one.
+     */
+    async findImdbId(source: 'tmdb' | 'tvdb', id: string, kind: string = 'movie'): Promise<string | null> {
+        if (!this.clientId) throw new Error("Trakt Client ID not configured");
+        const response = await this.client.get(`/search/${source}/${encodeURIComponent(id)}`, {
+            params: { type: kind === 'series' ? 'show' : 'movie' }
+        });
+        const match = response.data?.[0];
+        return (match?.movie || match?.show)?.ids?.imdb || null;
+    }
+
     /**
      * Searches for lists on Trakt.
      * @param query The search query.
@@ -0,0 +1,53 @@
+/**
+ * WatchHistoryService.ts
+ * 
+ * Watch History Lookup.
+ * 
+ * Responsibilities:
+ * 1. Collects the ids of already-watched titles from the profile's connected Trakt account
+ *    and from the watch state of the profile's Plex servers.
+ * 2. Caches the combined history per profile and content type so list refreshes don't
+ *    re-download it for every list.
+ */
+import { ConfigStore, ContentType } from '../store/ConfigStore';
+import { traktService } from './TraktService';
+import { plexService } from './PlexService';
+
+const CACHE_TTL_MS = 15 * 60 * 1000;
+
+export class WatchHistoryService {
+    private static cache = new Map<string, { ids: Set<string>, fetchedAt: number }>();
+
+    /**
+     * Gets the ids (IMDB or Plex-prefixed) of every watched title. Sources that are not
+     * configured or fail are skipped, so the result may be empty.
+     * @param type The content type.
+     * @returns A promise that resolves to the watched ids.
+     */
+    static async getWatchedIds(type: ContentType): Promise<Set<string>> {
+        const key = `${ConfigStore.getProfileToken()}:${type}`;
+        const cached = this.cache.get(key);
+        if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) return cached.ids;
+
+        const ids = new Set<string>();
+
+        if (traktService.getAuthStatus().connected) {
+            try {
+                (await traktService.getWatchedIds(type)).forEach(id => ids.add(id));
+            } catch (error: any) {
+                console.error(`Failed to fetch Trakt watch history: ${error.message}`);
+            }
+        }
+
+        if (plexService.isConfigured()) {
+            try {
+                (await plexService.getWatchedIds(type)).forEach(id => ids.add(id));
+            } catch (error: any) {
+                console.error(`Failed to fetch Plex watch history: ${error.message}`);
+            }
+        }
+
+        this.cache.set(key, { ids, fetchedAt: Date.now() });
+        return ids;
+    }
+}
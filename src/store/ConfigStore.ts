@@ -5,12 +5,16 @@
  * 
  * Responsibilities:
  * 1. Defines the core data models (`SourceList`, `CatalogSlot`).
- * 2. Manages the shared state of the application.
- * 3. Handles reading from and writing to the `config/data.json` persistence file.
+ * 2. Manages the state of every user profile; all reads and writes target the profile
+ *    active in the current request context (see `runWithProfile`).
+ * 3. Handles reading from and writing to the `config/data.json` (default profile) and
+ *    `config/profiles/<token>.json` persistence files.
  * 4. Acts as the Single Source of Truth for both `ListService` and `CatalogService`.
  */
 import * as fs from 'fs';
 import * as path from 'path';
+import * as crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
 import { manifest } from '../manifest';
 import { Manifest, MetaPreview } from 'stremio-addon-sdk';
 
@@ -19,7 +23,13 @@ export enum SourceType {
     TRAKT_USER_LIST = 'trakt_user_list',
     DEFAULT_LIST = 'default_list', // New generic default list
     MDBLIST_LIST = 'mdblist_list',
-    PLEX_COLLECTION = 'plex_collection'
+    PLEX_COLLECTION = 'plex_collection',
+    TMDB_LIST = 'tmdb_list', // TMDB list, feed or discover query
+    LETTERBOXD_LIST = 'letterboxd_list', // Letterboxd list or watchlist
+    JELLYFIN_COLLECTION = 'jellyfin_collection', // Jellyfin/Emby collection, playlist or library view
+    CUSTOM_LIST = 'custom_list', // Titles kept in the list's own config (`items`)
+    ADDON_CATALOG = 'addon_catalog', // Catalog of another Stremio addon
+    COMPOSITE_LIST = 'composite_list' // Union / intersection / difference of other lists
 }
 
 export enum ContentType {
@@ -27,14 +37,37 @@ export enum ContentType {
     SERIES = 'series'
 }
 
-export enum PlexContentType {
-    MOVIES = "Movies",
-    TVSHOWS = "TV Shows"
+export enum RotationMode {
+    RANDOM = 'random', // Weighted random pick
+    SEQUENTIAL = 'sequential', // Next list in `listIds` order
+    ROUND_ROBIN = 'round_robin', // Shuffled cycle: every list once before repeating
+    NO_REPEAT = 'no_repeat' // Weighted random pick avoiding the last N lists
+}
+
+export enum MergeStrategy {
+    INTERLEAVE = 'interleave', // One item from each list in turn
+    CONCAT = 'concat', // Each list's items after the previous list's
+    WEIGHTED = 'weighted' // Interleaved in proportion to list weights
+}
+
+export enum DuplicateMode {
+    OFF = 'off', // Slots may show the same title
+    DROP = 'drop', // Titles already shown in an earlier slot are removed
+    PUSH_DOWN = 'push_down' // Titles already shown in an earlier slot are moved to the end
+}
+
+export enum HeaderPosition {
+    FIRST = 'first',
+    LAST = 'last', // Shown once the list has no further pages
+    NONE = 'none'
 }
 
 // Constants
 export const DEFAULT_ITEM_LIMIT = 50;
 export const DEFAULT_REFRESH_INTERVAL_HOURS = 24;
+export const MAX_ROTATION_HISTORY = 10;
+export const DEFAULT_LIST_WEIGHT = 1;
+export const DEFAULT_NO_REPEAT_COUNT = 2;
 
 // Interfaces
 export interface SourceList {
@@ -46,6 +79,75 @@ export interface SourceList {
     shuffle?: boolean; // If true, items are randomized on fetch
     limit?: number; // Max items to fetch
     group?: string; // Optional grouping for exclusivity logic
+    description?: string; // Shown on the header item's detail page
+    weight?: number; // Relative chance of being picked (default DEFAULT_LIST_WEIGHT)
+    calendar?: CalendarRule; // When the list may be picked; undefined = always
+    hideWatched?: boolean; // If true, titles in the Trakt/Plex watch history are dropped
+    filters?: ItemFilters; // Item-level filters applied to fetched items
+}
+
+export interface ItemFilters {
+    minRating?: number; // 0-10
+    minYear?: number;
+    maxYear?: number;
+    genres?: string[]; // Keep items with at least one of these genres
+    excludeGenres?: string[];
+    minRuntime?: number; // Minutes
+    maxRuntime?: number;
+    certifications?: string[]; // e.g. 'PG-13', 'TV-MA'
+    languages?: string[]; // ISO 639-1 codes, e.g. 'en'
+}
+
+export enum CompositeOperation {
+    UNION = 'union', // Titles in any of the lists
+    INTERSECTION = 'intersection', // Titles in every list
+    DIFFERENCE = 'difference' // Titles in the first list but in none of the others
+}
+
+export interface CustomListItem {
+    id: string; // IMDB id
+    type: ContentType;
+    name: string;
+    year?: number;
+    poster?: string;
+}
+
+export interface ListSelection {
+    name: string;
+    sourceType: string;
+    sourceId?: string;
+    sourceIds?: string[]; // Merged slots: every contributing list
+    items: MetaPreview[];
+    page?: number; // Last upstream page fetched into `items`
+    hasMore?: boolean; // Whether the upstream source has further pages
+}
+
+export interface CalendarRule {
+    days?: number[]; // Days of the week (0 = Sunday ... 6 = Saturday)
+    startTime?: string; // 'HH:MM'; the window may wrap past midnight (e.g. 18:00-02:00)
+    endTime?: string;
+    startDate?: string; // 'MM-DD', recurring yearly; the range may wrap the new year
+    endDate?: string;
+    exclusive?: boolean; // While active, lists with active exclusive rules replace the whole pool
+}
+
+export interface SlotSchedule {
+    intervalHours?: number; // Refresh every N hours
+    cron?: string; // Cron expression; takes precedence over intervalHours
+}
+
+export interface HeaderTheme {
+    background?: string; // '#RRGGBB'
+    accent?: string; // Gradient end colour
+    text?: string;
+    icon?: string; // Emoji or short text
+    font?: string; // Key of HEADER_FONTS
+}
+
+export interface RotationEntry {
+    listId: string;
+    name: string;
+    timestamp: number;
 }
 
 export interface CatalogSlot {
@@ -53,33 +155,78 @@ export interface CatalogSlot {
     alias: string;
     type: ContentType;
     listIds: string[]; // Referenced IDs
-    currentSelection?: {
-        name: string;
-        sourceType: string;
-        sourceId?: string;
-        items: MetaPreview[];
+    listWeights?: Record<string, number>; // Per-slot weight overrides, keyed by list ID
+    listCalendars?: Record<string, CalendarRule>; // Per-slot calendar rule overrides, keyed by list ID
+    currentSelection?: ListSelection;
+    history?: RotationEntry[]; // Most recent first, capped at MAX_ROTATION_HISTORY (or noRepeatCount if larger)
+    schedule?: SlotSchedule; // Own refresh schedule; undefined = inherit the global one
+    rotationMode?: RotationMode; // Default RANDOM
+    mergeStrategy?: MergeStrategy; // If set, the slot blends several lists instead of showing one
+    mergeCount?: number; // How many lists to merge; 0/undefined = all
+    hideWatched?: boolean; // If true, watched titles are dropped from every list in the slot
+    headerPosition?: HeaderPosition; // Default FIRST
+    headerTheme?: HeaderTheme;
+    noRepeatCount?: number; // NO_REPEAT: how many recent lists to avoid
+    rotationState?: {
+        cursor?: string; // SEQUENTIAL: ID of the last list picked
+        queue?: string[]; // ROUND_ROBIN: list IDs not yet picked in the current cycle
     };
 }
 
 export interface AppSettings {
     refreshIntervalHours: number; // 0 = disabled
     defaultItemLimit?: number;
+    duplicateMode?: DuplicateMode; // Handling of titles shown by several slots; default OFF
+}
+
+export interface TraktAuth {
+    accessToken: string;
+    refreshToken: string;
+    expiresAt: number; // Epoch ms
+    username?: string;
+}
+
+export interface PlexServerConfig {
+    id: string;
+    name: string;
+    url: string; // Direct server URL, e.g. http://192.168.1.10:32400
+    token: string; // X-Plex-Token
 }
 
 export interface ConfigData {
+    name?: string; // Profile display name
+    trakt?: TraktAuth; // Trakt account connected through the device-code flow
+    plexServers?: PlexServerConfig[]; // Named Plex servers added in the web UI (the environment's server is not stored)
     lists: SourceList[];
     slots: CatalogSlot[];
     settings: AppSettings;
 }
 
+export interface ProfileInfo {
+    token: string;
+    name: string;
+}
+
+// The default profile is served from the un-prefixed routes and persisted to `config/data.json`
+export const DEFAULT_PROFILE = 'default';
+
 const CONFIG_PATH = path.join(process.cwd(), 'config', 'data.json');
+const PROFILES_DIR = path.join(process.cwd(), 'config', 'profiles');
 
 export class ConfigStore {
-    private static data: ConfigData = {
-        lists: [],
-        slots: [],
-        settings: { refreshIntervalHours: DEFAULT_REFRESH_INTERVAL_HOURS, defaultItemLimit: DEFAULT_ITEM_LIMIT }
-    };
+    private static profiles = new Map<string, ConfigData>([[DEFAULT_PROFILE, ConfigStore.createEmptyData('Default')]]);
+    private static profileContext = new AsyncLocalStorage<string>();
+
+    /**
+     * The configuration of the profile active in the current request context.
+     */
+    private static get data(): ConfigData {
+        return this.profiles.get(this.getProfileToken())!;
+    }
+
+    private static set data(value: ConfigData) {
+        this.profiles.set(this.getProfileToken(), value);
+    }
 
     /**
      * Gets the current configuration data.
@@ -124,18 +271,106 @@ export class ConfigStore {
         return this.data.slots;
     }
 
+    // --- Profiles ---
+
+    /**
+     * Gets the token of the profile active in the current context.
+     * @returns The profile token, or the default profile outside of any profile context.
+     */
+    static getProfileToken(): string {
+        return this.profileContext.getStore() || DEFAULT_PROFILE;
+    }
+
     /**
-     * Loads the configuration from the persistence file.
+     * Runs a function with the given profile as the active profile.
+     * Every ConfigStore read and write made by the function (including async continuations) targets that profile.
+     * @param token The profile token.
+     * @param fn The function to run.
+     * @returns The function's return value.
+     */
+    static runWithProfile<T>(token: string, fn: () => T): T {
+        return this.profileContext.run(token, fn);
+    }
+
+    /**
+     * Checks whether a profile exists.
+     * @param token The profile token.
+     */
+    static hasProfile(token: string): boolean {
+        return this.profiles.has(token);
+    }
+
+    /**
+     * Gets all profiles.
+     * @returns The token and name of every profile, default first.
+     */
+    static getProfiles(): ProfileInfo[] {
+        return Array.from(this.profiles.entries()).map(([token, data]) => ({
+            token,
+            name: data.name || token
+        }));
+    }
+
+    /**
+     * Creates a new, empty profile with a random token.
+     * @param name The profile display name.
+     * @returns The new profile.
+     */
+    static async createProfile(name: string): Promise<ProfileInfo> {
+        const token = crypto.randomBytes(8).toString('hex');
+        this.profiles.set(token, this.createEmptyData(name));
+        await this.runWithProfile(token, () => this.saveConfig());
+        return { token, name };
+    }
+
+    /**
+     * Deletes a profile and its persistence file. The default profile cannot be deleted.
+     * @param token The profile token.
+     */
+    static deleteProfile(token: string) {
+        if (token === DEFAULT_PROFILE) throw new Error("The default profile cannot be deleted");
+        if (!this.profiles.delete(token)) throw new Error("Profile not found");
+        try {
+            fs.rmSync(this.getConfigPath(token), { force: true });
+        } catch (e) {
+            console.error(`Error deleting profile ${token}`, e);
+        }
+    }
+
+    /**
+     * Loads the configuration of every profile from the persistence files.
      */
     static async loadConfig() {
-        if (fs.existsSync(CONFIG_PATH)) {
+        await this.loadProfile(DEFAULT_PROFILE);
+
+        if (fs.existsSync(PROFILES_DIR)) {
+            for (const file of fs.readdirSync(PROFILES_DIR)) {
+                if (file.endsWith('.json')) {
+                    await this.loadProfile(path.basename(file, '.json'));
+                }
+            }
+        }
+    }
+
+    /**
+     * Loads a single profile from its persistence file.
+     * @param token The profile token.
+     */
+    private static async loadProfile(token: string) {
+        const configPath = this.getConfigPath(token);
+        if (!fs.existsSync(configPath)) return;
+
+        await this.runWithProfile(token, async () => {
             try {
-                const raw = fs.readFileSync(CONFIG_PATH, 'utf-8');
+                const raw = fs.readFileSync(configPath, 'utf-8');
                 const json = JSON.parse(raw);
                 this.data = {
+                    name: json.name || (token === DEFAULT_PROFILE ? 'Default' : token),
                     lists: Array.isArray(json.lists) ? json.lists : [],
                     slots: Array.isArray(json.slots) ? json.slots : [],
-                    settings: json.settings || { refreshIntervalHours: DEFAULT_REFRESH_INTERVAL_HOURS, defaultItemLimit: DEFAULT_ITEM_LIMIT }
+                    settings: json.settings || { refreshIntervalHours: DEFAULT_REFRESH_INTERVAL_HOURS, defaultItemLimit: DEFAULT_ITEM_LIMIT },
+                    trakt: json.trakt,
+                    plexServers: Array.isArray(json.plexServers) ? json.plexServers : undefined
                 };
 
                 if (this.data.settings.refreshIntervalHours === undefined) {
@@ -146,25 +381,49 @@ export class ConfigStore {
                     this.data.settings.defaultItemLimit = DEFAULT_ITEM_LIMIT;
                 }
 
-                this.updateSettings(this.data.settings);
+                await this.updateSettings(this.data.settings);
             } catch (e) {
-                console.error("Error loading config", e);
-                this.data = { lists: [], slots: [], settings: { refreshIntervalHours: DEFAULT_REFRESH_INTERVAL_HOURS, defaultItemLimit: DEFAULT_ITEM_LIMIT } };
+                console.error(`Error loading config for profile ${token}`, e);
+                this.data = this.createEmptyData(token === DEFAULT_PROFILE ? 'Default' : token);
             }
-        }
+        });
     }
 
     /**
-     * Saves the configuration to the persistence file.
+     * Saves the active profile's configuration to its persistence file.
      */
     static async saveConfig() {
+        const configPath = this.getConfigPath(this.getProfileToken());
         try {
-            if (!fs.existsSync(path.dirname(CONFIG_PATH))) {
-                fs.mkdirSync(path.dirname(CONFIG_PATH), { recursive: true });
+            if (!fs.existsSync(path.dirname(configPath))) {
+                fs.mkdirSync(path.dirname(configPath), { recursive: true });
             }
-            fs.writeFileSync(CONFIG_PATH, JSON.stringify(this.data, null, 2));
+            fs.writeFileSync(configPath, JSON.stringify(this.data, null, 2));
         } catch (e) {
             console.error("Error saving config", e);
         }
     }
+
+    /**
+     * Gets the persistence file of a profile.
+     * @param token The profile token.
+     * @returns The absolute file path.
+     */
+    private static getConfigPath(token: string): string {
+        return token === DEFAULT_PROFILE ? CONFIG_PATH : path.join(PROFILES_DIR, `${token}.json`);
+    }
+
+    /**
+     * Creates an empty configuration with default settings.
+     * @param name The profile display name.
+     * @returns The configuration data.
+     */
+    private static createEmptyData(name: string): ConfigData {
+        return {
+            name,
+            lists: [],
+            slots: [],
+            settings: { refreshIntervalHours: DEFAULT_REFRESH_INTERVAL_HOURS, defaultItemLimit: DEFAULT_ITEM_LIMIT }
+        };
+    }
 }
@@ -13,7 +13,7 @@ declare module 'stremio-addon-sdk' {
         version: string;
         name: string;
         description: string;
-        resources: string[];
+        resources: (string | { name: string; types?: string[]; idPrefixes?: string[] })[];
         types: string[];
         catalogs: any[];
         idPrefixes?: string[];
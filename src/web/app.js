@@ -10,9 +10,13 @@
  */
 // --- Constants ---
 
-const API_BASE = '/api';
+const DEFAULT_PROFILE = 'default';
+const PROFILE_STORAGE_KEY = 'shufflist_profile';
 const DEFAULT_LIMIT = 25;
 
+let currentProfile = localStorage.getItem(PROFILE_STORAGE_KEY) || DEFAULT_PROFILE;
+let API_BASE = `${getProfilePath()}/api`;
+
 let state = {
     lists: [],
     slots: [],
@@ -22,6 +26,19 @@ let state = {
 
 let lastRefreshResults = {};
 let currentEditingListId = null;
+let traktPollTimer = null;
+let customListItems = [];
+let addonManifest = null; // { name, catalogs } of the addon loaded in the list modal
+let compositeSelection = { base: '', others: [] }; // List ids chosen for a composite list in the list modal
+let plexLibraries = []; // Plex libraries (with genres) of the list modal's content type
+let plexServerFormId = null; // Saved Plex server being edited in the settings modal (null = new server)
+
+// Header poster theme defaults (mirrors DEFAULT_HEADER_THEME on the server)
+const DEFAULT_HEADER_THEME = { background: '#7b5bf5', accent: '#4c2fc7', text: '#ffffff', icon: '🔀', font: 'sans' };
+const HEADER_THEME_FIELDS = Object.keys(DEFAULT_HEADER_THEME);
+
+// Trakt default list types that take a period (daily ... all)
+const PERIOD_LIST_TYPES = ['watched', 'played', 'collected', 'favorited'];
 
 /**
  * Updates the 'Add List' button text based on selection count.
@@ -36,6 +53,8 @@ function updateAddButtonText() {
         count = document.querySelectorAll('input[name="default_list_select"]:checked').length;
     } else if (type === 'plex_collection') {
         count = document.querySelectorAll('input[name="plex_collection_select"]:checked').length;
+    } else if (type === 'jellyfin_collection') {
+        count = document.querySelectorAll('input[name="jellyfin_collection_select"]:checked').length;
     } else if (type === 'trakt_user_list') {
         const rows = document.querySelectorAll('.trakt-entry-row');
         count = Array.from(rows).filter(row => {
@@ -99,6 +118,103 @@ function addMdbListRow() {
     updateAddButtonText();
 }
 
+// --- Profiles ---
+
+/**
+ * Gets the URL path prefix of the selected profile.
+ * @returns {string} An empty string for the default profile, otherwise `/<token>`.
+ */
+function getProfilePath() {
+    return currentProfile === DEFAULT_PROFILE ? '' : `/${currentProfile}`;
+}
+
+/**
+ * Loads all profiles and populates the profile selector.
+ */
+async function loadProfiles() {
+    try {
+        const res = await fetch('/api/profiles');
+        const profiles = await res.json();
+
+        // Fall back to the default profile if the stored one was deleted
+        if (!profiles.some(p => p.token === currentProfile)) {
+            setProfile(DEFAULT_PROFILE);
+        }
+
+        const select = document.getElementById('profile-select');
+        select.innerHTML = profiles.map(p =>
+            `<option value="${p.token}" ${p.token === currentProfile ? 'selected' : ''}>${p.name}</option>`
+        ).join('');
+        document.getElementById('delete-profile-btn').classList.toggle('hidden', currentProfile === DEFAULT_PROFILE);
+    } catch (e) {
+        console.error("Failed to load profiles", e);
+    }
+}
+
+/**
+ * Sets the selected profile and the API base it is served from.
+ * @param {string} token - The profile token.
+ */
+function setProfile(token) {
+    currentProfile = token;
+    localStorage.setItem(PROFILE_STORAGE_KEY, token);
+    API_BASE = `${getProfilePath()}/api`;
+}
+
+/**
+ * Switches the UI to another profile.
+ * @param {string} token - The profile token.
+ */
+async function switchProfile(token) {
+    setProfile(token);
+    lastRefreshResults = {};
+    state.lastRunTime = undefined;
+    await loadProfiles();
+    loadData();
+}
+
+/**
+ * Creates a new profile and switches to it.
+ */
+async function createProfile() {
+    const name = prompt("Profile name (e.g. Kids):");
+    if (!name || !name.trim()) return;
+
+    try {
+        const res = await fetch('/api/profiles', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: name.trim() })
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            showToast(data.error || "Failed to create profile", 'error');
+            return;
+        }
+        showToast(`Profile '${data.name}' created. Install it in Stremio from the Install menu.`);
+        switchProfile(data.token);
+    } catch (e) {
+        showToast("Failed to create profile", 'error');
+    }
+}
+
+/**
+ * Deletes the selected profile and switches back to the default profile.
+ */
+async function deleteProfile() {
+    if (currentProfile === DEFAULT_PROFILE) return;
+    if (!confirm("Delete this profile and all its lists and catalogs?")) return;
+
+    const res = await fetch(`/api/profiles/${currentProfile}`, { method: 'DELETE' });
+    if (!res.ok) {
+        const data = await res.json();
+        showToast(data.error || "Failed to delete profile", 'error');
+        return;
+    }
+    showToast("Profile deleted.", 'warning');
+    switchProfile(DEFAULT_PROFILE);
+}
+
 // --- Fetching Data ---
 
 /**
@@ -109,12 +225,23 @@ async function loadData() {
     const resLists = await fetch(`${API_BASE}/lists`);
     state.lists = await resLists.json();
 
+    // Titles the lists could not map to IMDB ids on their latest fetch
+    try {
+        const resUnresolved = await fetch(`${API_BASE}/lists/unresolved`);
+        state.unresolved = await resUnresolved.json();
+    } catch (e) {
+        console.error("Failed to load unresolved titles", e);
+        state.unresolved = {};
+    }
+
     // Load slots
     const resSlots = await fetch(`${API_BASE}/slots`);
     state.slots = await resSlots.json();
 
     // Load settings
     await loadSettings();
+    await loadTraktAccount();
+    await loadPlexServers();
 
     // Check for Background Refresh
     try {
@@ -125,6 +252,7 @@ async function loadData() {
             showToast("Background Auto-Refresh Complete!");
         }
         state.lastRunTime = status.lastRunTime;
+        state.slotNextRunTimes = status.slotNextRunTimes || {};
 
         // Update Timer
         if (status.nextRunTime) {
@@ -156,6 +284,290 @@ async function loadSettings() {
     }
 }
 
+/**
+ * Loads the profile's Trakt connection status and, when connected, its own lists
+ * into the default list options.
+ */
+async function loadTraktAccount() {
+    const privateGroup = document.getElementById('default-type-private');
+    privateGroup.innerHTML = '';
+
+    try {
+        const res = await fetch(`${API_BASE}/trakt/status`);
+        state.trakt = await res.json();
+    } catch (e) {
+        console.error("Failed to load Trakt status", e);
+        state.trakt = { configured: false, connected: false };
+    }
+
+    renderTraktAccount();
+    document.getElementById('default-type-account').classList.toggle('hidden', !state.trakt.connected);
+    if (!state.trakt.connected) return;
+
+    try {
+        const res = await fetch(`${API_BASE}/trakt/lists`);
+        if (!res.ok) throw new Error((await res.json()).error);
+        const lists = await res.json();
+        lists.forEach(l => {
+            const opt = document.createElement('option');
+            opt.value = `private_list:${l.id}`;
+            opt.textContent = `${l.name}${l.privacy === 'private' ? ' 🔒' : ''}`;
+            privateGroup.appendChild(opt);
+        });
+    } catch (e) {
+        console.error("Failed to load Trakt lists", e);
+    }
+}
+
+/**
+ * Renders the Trakt account section of the settings modal.
+ */
+function renderTraktAccount() {
+    const trakt = state.trakt || {};
+    const status = document.getElementById('trakt-account-status');
+    if (trakt.connected) {
+        status.textContent = `Connected${trakt.username ? ` as ${trakt.username}` : ''}`;
+    } else {
+        status.textContent = trakt.configured ? 'Not connected' : 'Unavailable (TRAKT_CLIENT_SECRET not set)';
+    }
+    document.getElementById('btn-trakt-connect').classList.toggle('hidden', trakt.connected || !trakt.configured);
+    document.getElementById('btn-trakt-disconnect').classList.toggle('hidden', !trakt.connected);
+}
+
+/**
+ * Starts the Trakt device-code flow: shows the code to enter on trakt.tv and polls until
+ * the user approves, denies, or the code expires.
+ */
+async function connectTrakt() {
+    clearTimeout(traktPollTimer);
+    try {
+        const res = await fetch(`${API_BASE}/trakt/auth/device`, { method: 'POST' });
+        const device = await res.json();
+        if (!res.ok) throw new Error(device.error);
+
+        const link = document.getElementById('trakt-verification-url');
+        link.href = device.verificationUrl;
+        link.textContent = device.verificationUrl;
+        document.getElementById('trakt-user-code').textContent = device.userCode;
+        document.getElementById('trakt-device-code').classList.remove('hidden');
+
+        let interval = (device.interval || 5) * 1000;
+        const poll = async () => {
+            const pollRes = await fetch(`${API_BASE}/trakt/auth/poll`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ deviceCode: device.deviceCode })
+            });
+            const data = await pollRes.json();
+
+            if (data.status === 'pending' || data.status === 'slow_down') {
+                if (data.status === 'slow_down') interval += 1000;
+                traktPollTimer = setTimeout(poll, interval);
+                return;
+            }
+
+            document.getElementById('trakt-device-code').classList.add('hidden');
+            if (data.status === 'authorized') {
+                showToast(`Trakt account ${data.username || ''} connected.`);
+                await loadTraktAccount();
+            } else {
+                showToast(data.error || `Trakt authorization ${data.status}.`, 'error');
+            }
+        };
+        traktPollTimer = setTimeout(poll, interval);
+    } catch (e) {
+        showToast(e.message || "Failed to start Trakt authorization", 'error');
+    }
+}
+
+/**
+ * Disconnects the profile's Trakt account.
+ */
+async function disconnectTrakt() {
+    if (!confirm("Disconnect your Trakt account? Account lists will stop refreshing.")) return;
+    clearTimeout(traktPollTimer);
+    document.getElementById('trakt-device-code').classList.add('hidden');
+    await fetch(`${API_BASE}/trakt/auth`, { method: 'DELETE' });
+    showToast("Trakt account disconnected.");
+    await loadTraktAccount();
+}
+
+// --- Plex Servers ---
+
+/**
+ * Loads the profile's Plex servers into the settings modal and the Plex list fields.
+ */
+async function loadPlexServers() {
+    try {
+        const res = await fetch(`${API_BASE}/plex/servers`);
+        state.plexServers = await res.json();
+    } catch (e) {
+        console.error("Failed to load Plex servers", e);
+        state.plexServers = [];
+    }
+
+    renderPlexServers();
+
+    // Server picker of the list modal, shown when there is a choice
+    const select = document.getElementById('plex-server');
+    const selected = select.value;
+    select.innerHTML = '';
+    state.plexServers.forEach(server => select.appendChild(new Option(server.name, server.id, false, server.id === selected)));
+    document.getElementById('plex-server-field').classList.toggle('hidden', state.plexServers.length < 2);
+}
+
+/**
+ * Renders the Plex servers section of the settings modal.
+ */
+function renderPlexServers() {
+    const container = document.getElementById('plex-server-list');
+    container.innerHTML = '';
+    if (state.plexServers.length === 0) {
+        container.innerHTML = '<div class="text-sm text-gray-500 italic">No Plex servers configured.</div>';
+        return;
+    }
+
+    state.plexServers.forEach(server => {
+        const row = document.createElement('div');
+        row.className = "flex items-center justify-between gap-2 bg-gray-900/30 p-2 rounded-lg border border-gray-700/30";
+        row.innerHTML = `
+            <div class="min-w-0">
+                <div class="text-sm text-gray-200 truncate">${server.name}${server.fromEnv ? ' <span class="text-xs text-gray-500">(environment)</span>' : ''}</div>
+                <div class="text-xs text-gray-500 truncate">${server.url}</div>
+            </div>
+            <div class="flex gap-1 shrink-0">
+                ${server.fromEnv ? '' : `
+                <button type="button" onclick="testPlexServer('${server.id}')"
+                    class="text-xs bg-gray-700 hover:bg-gray-600 text-white px-2 py-1 rounded transition-colors">Test</button>
+                <button type="button" onclick="openPlexServerForm('${server.id}')"
+                    class="text-xs bg-gray-700 hover:bg-gray-600 text-white px-2 py-1 rounded transition-colors">Edit</button>
+                <button type="button" onclick="deletePlexServer('${server.id}')"
+                    class="text-xs bg-gray-700 hover:bg-red-600 text-white px-2 py-1 rounded transition-colors">✕</button>`}
+            </div>
+        `;
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Shows the Plex server form of the settings modal, empty or filled with a saved server.
+ * @param {string|null} serverId - The server to edit, or null to add one.
+ */
+function openPlexServerForm(serverId = null) {
+    const server = serverId ? state.plexServers.find(s => s.id === serverId) : null;
+    plexServerFormId = server ? server.id : null;
+    document.getElementById('plex-server-name').value = server ? server.name : '';
+    document.getElementById('plex-server-url').value = server ? server.url : '';
+    document.getElementById('plex-server-token').value = '';
+    document.getElementById('plex-server-token').placeholder = server ? 'X-Plex-Token (leave empty to keep, unless the URL changes)' : 'X-Plex-Token';
+    document.getElementById('plex-server-form').classList.remove('hidden');
+    document.getElementById('btn-add-plex-server').classList.add('hidden');
+}
+
+/**
+ * Hides the Plex server form of the settings modal.
+ */
+function closePlexServerForm() {
+    plexServerFormId = null;
+    document.getElementById('plex-server-form').classList.add('hidden');
+    document.getElementById('btn-add-plex-server').classList.remove('hidden');
+}
+
+/**
+ * Reads the Plex server form of the settings modal.
+ * @returns {Object} The server's id (when editing), name, URL and token.
+ */
+function readPlexServerForm() {
+    return {
+        id: plexServerFormId || undefined,
+        name: document.getElementById('plex-server-name').value.trim(),
+        url: document.getElementById('plex-server-url').value.trim(),
+        token: document.getElementById('plex-server-token').value.trim()
+    };
+}
+
+/**
+ * Tests the connection to a saved Plex server, or to the one entered in the form.
+ * @param {string|null} serverId - The saved server to test, or null to test the form.
+ */
+async function testPlexServer(serverId = null) {
+    const body = serverId ? { id: serverId } : readPlexServerForm();
+    try {
+        const res = await fetch(`${API_BASE}/plex/servers/test`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        showToast(`Connected to ${data.name}${data.version ? ` (Plex ${data.version})` : ''}.`);
+    } catch (e) {
+        showToast(e.message || "Could not connect to Plex.", 'error');
+    }
+}
+
+/**
+ * Saves the Plex server entered in the settings modal.
+ */
+async function savePlexServer() {
+    const server = readPlexServerForm();
+    if (!server.name || !server.url || (!server.id && !server.token)) {
+        showToast("Please enter a name, URL and token.", 'error');
+        return;
+    }
+
+    try {
+        const res = await fetch(`${API_BASE}/plex/servers`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(server)
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        showToast(`Plex server ${data.name} saved.`);
+        closePlexServerForm();
+        await loadPlexServers();
+    } catch (e) {
+        showToast(e.message || "Failed to save Plex server.", 'error');
+    }
+}
+
+/**
+ * Removes a saved Plex server.
+ * @param {string} serverId - The server ID.
+ */
+async function deletePlexServer(serverId) {
+    const server = state.plexServers.find(s => s.id === serverId);
+    if (!confirm(`Remove the Plex server ${server ? server.name : ''}?`)) return;
+
+    const res = await fetch(`${API_BASE}/plex/servers/${serverId}`, { method: 'DELETE' });
+    if (!res.ok) {
+        showToast((await res.json()).error || "Failed to remove Plex server.", 'error');
+        return;
+    }
+    showToast("Plex server removed.");
+    await loadPlexServers();
+}
+
+/**
+ * Builds a default list config from a list type option. Private Trakt lists are encoded as `private_list:<id>`;
+ * period list types take the period picked in the modal.
+ * @param {string} value - The option value.
+ * @param {string} label - The option label.
+ * @returns {Object} The list config.
+ */
+function toDefaultListConfig(value, label) {
+    if (value.startsWith('private_list:')) {
+        return { listType: 'private_list', listId: value.slice('private_list:'.length), listTypeLabel: label.replace(' 🔒', '') };
+    }
+    if (PERIOD_LIST_TYPES.includes(value)) {
+        const periodSelect = document.getElementById('default-period');
+        const periodLabel = periodSelect.options[periodSelect.selectedIndex].text;
+        return { listType: value, period: periodSelect.value, listTypeLabel: label.replace(')', `, ${periodLabel})`) };
+    }
+    return { listType: value, listTypeLabel: label };
+}
+
 /**
  * Opens the settings modal.
  */
@@ -164,6 +576,8 @@ function openSettingsModal() {
     const limit = state.defaultItemLimit || DEFAULT_LIMIT;
     document.getElementById('settings-interval').value = hours;
     document.getElementById('settings-limit').value = limit;
+    document.getElementById('settings-duplicates').value = state.settings?.duplicateMode || 'off';
+    closePlexServerForm();
     document.getElementById('settings-modal').classList.remove('hidden');
 }
 
@@ -187,11 +601,13 @@ async function saveSettings() {
         return;
     }
 
+    const duplicateMode = document.getElementById('settings-duplicates').value;
+
     try {
         const res = await fetch(`${API_BASE}/settings`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ refreshIntervalHours: hours, defaultItemLimit: limit })
+            body: JSON.stringify({ refreshIntervalHours: hours, defaultItemLimit: limit, duplicateMode })
         });
         const data = await res.json();
         if (data.success) {
@@ -282,7 +698,11 @@ function renderSlots() {
                         <h2 class="text-xl font-bold text-white">${slot.alias}</h2>
                         <span class="text-[10px] font-bold px-2 py-0.5 rounded ${typeColor}">${typeLabel}</span>
                     </div>
-                    <p class="text-xs text-gray-500 uppercase tracking-wide">${slot.listIds.length} Lists Active</p>
+                    <p class="text-xs text-gray-500 uppercase tracking-wide">${slot.listIds.length} Lists Active · ${formatRotationMode(slot.rotationMode)}${slot.mergeStrategy ? ' · Merged' : ''}</p>
+                    <p class="text-xs text-gray-500">
+                        ${slot.schedule ? `<span title="${slot.schedule.cron ? `Cron: ${slot.schedule.cron}` : `Every ${slot.schedule.intervalHours}h`}">⏱</span>` : ''}
+                        Next refresh: <span class="slot-timer font-mono text-gray-400" data-target="${state.slotNextRunTimes?.[slot.id] || ''}">${formatCountdown(state.slotNextRunTimes?.[slot.id])}</span>
+                    </p>
                     <div class="mt-1 h-5">${badgeHtml}</div>
                 </div>
                 <div class="flex gap-2">
@@ -336,6 +756,7 @@ function renderLists() {
 
         const colors = getGroupColors(list.group);
         const titleColor = isMovie ? 'text-blue-400' : 'text-yellow-400';
+        const unresolved = (state.unresolved || {})[list.id] || [];
 
         const html = `
         <div class="bg-gray-800 rounded-xl p-4 border border-gray-700 flex justify-between items-center group hover:border-blue-500/30 transition-all">
@@ -343,6 +764,9 @@ function renderLists() {
                 <div class="font-semibold ${titleColor} break-words">${list.alias}</div>
                 <div class="flex items-center gap-2 mt-0.5">
                     <div class="text-xs text-gray-500">${formatSourceType(list.type)}</div>
+                    ${list.calendar ? `<div class="text-xs" title="Has calendar rules${list.calendar.exclusive ? ' (replaces pool while active)' : ''}">📅</div>` : ''}
+                    ${list.filters ? `<div class="text-xs" title="Has item filters">🔍</div>` : ''}
+                    ${unresolved.length ? `<div class="text-xs text-orange-400" title="${formatUnresolvedTitles(unresolved).replace(/"/g, '&quot;')}">⚠️ ${unresolved.length}</div>` : ''}
                     ${list.group ? `<div class="text-[10px] font-bold px-1.5 py-0.5 rounded ${colors.bg} ${colors.text} border ${colors.border} tracking-tight" title="Group: ${list.group}">${list.group}</div>` : ''}
                 </div>
             </div>
@@ -372,7 +796,28 @@ function renderLists() {
     }
 }
 
-// formatMode removed
+/**
+ * Formats the titles a list could not map to IMDB ids, for the list card's tooltip.
+ * @param {string[]} titles - The unresolved titles.
+ * @returns {string} The tooltip text.
+ */
+function formatUnresolvedTitles(titles) {
+    const shown = titles.slice(0, 10).join(', ');
+    const more = titles.length > 10 ? ` and ${titles.length - 10} more` : '';
+    return `${titles.length} title${titles.length > 1 ? 's' : ''} without an IMDB id (other addons may not show them): ${shown}${more}`;
+}
+
+/**
+ * Formats a slot's rotation mode for display.
+ * @param {string} mode - The rotation mode key.
+ * @returns {string} The formatted label.
+ */
+function formatRotationMode(mode) {
+    if (mode === 'sequential') return 'Sequential';
+    if (mode === 'round_robin') return 'Round-Robin';
+    if (mode === 'no_repeat') return 'No Repeat';
+    return 'Random';
+}
 
 /**
  * Formats the source type for display.
@@ -384,30 +829,55 @@ function formatSourceType(type) {
     if (type === 'trakt_user_list') return 'Trakt User List';
     if (type === 'mdblist_list') return 'MDBList';
     if (type === 'plex_collection') return 'Plex Collection';
+    if (type === 'jellyfin_collection') return 'Jellyfin/Emby';
+    if (type === 'tmdb_list') return 'TMDB';
+    if (type === 'letterboxd_list') return 'Letterboxd';
+    if (type === 'custom_list') return 'Custom List';
+    if (type === 'addon_catalog') return 'Stremio Addon';
+    if (type === 'composite_list') return 'Composite List';
     if (type === 'default_list') return 'Default List';
     return type;
 }
 
 // --- Actions: Lists ---
 
-// Load Plex Collections
+// Load Plex / Jellyfin Collections
 /**
  * Loads Plex collections from the API and populates the dropdown.
  * @param {string|null} selectedId - The ID of the currently selected collection (optional).
  */
-async function loadPlexCollections(selectedId = null) {
+function loadPlexCollections(selectedId = null) {
+    return loadServerCollections('plex', selectedId, { server: document.getElementById('plex-server').value });
+}
+
+/**
+ * Loads Jellyfin/Emby collections, playlists and libraries from the API and populates the dropdown.
+ * @param {string|null} selectedId - The ID of the currently selected collection (optional).
+ */
+function loadJellyfinCollections(selectedId = null) {
+    return loadServerCollections('jellyfin', selectedId);
+}
+
+/**
+ * Loads a media server's collections from the API and populates the dropdown and multi-select.
+ * @param {string} server - 'plex' or 'jellyfin' (prefix of the element ids, checkbox name and API route).
+ * @param {string|null} selectedId - The ID of the currently selected collection (optional).
+ * @param {Object} params - Extra query parameters for the API route (optional).
+ */
+async function loadServerCollections(server, selectedId = null, params = {}) {
     const contentType = document.querySelector('input[name="list-content-type"]:checked').value;
-    const select = document.getElementById('plexCollectionId');
-    const multiContainer = document.getElementById('plexCollectionMulti');
+    const select = document.getElementById(`${server}CollectionId`);
+    const multiContainer = document.getElementById(`${server}CollectionMulti`);
 
     // Reset UI
     select.innerHTML = '<option value="">Loading...</option>';
     select.disabled = true;
     multiContainer.innerHTML = '<div class="text-gray-400 text-sm italic">Loading collections...</div>';
 
-    console.log(`Loading Plex Collections for type: ${contentType}`);
+    console.log(`Loading ${server} collections for type: ${contentType}`);
     try {
-        const res = await fetch(`${API_BASE}/plex/collections?type=${contentType}`);
+        const query = new URLSearchParams({ type: contentType, ...params });
+        const res = await fetch(`${API_BASE}/${server}/collections?${query}`);
         if (!res.ok) throw new Error("Failed to fetch");
         const data = await res.json();
 
@@ -433,7 +903,7 @@ async function loadPlexCollections(selectedId = null) {
             label.className = "flex items-center gap-3 p-2 rounded hover:bg-white/5 cursor-pointer group transition-colors";
             label.innerHTML = `
                 <div class="relative flex items-center">
-                    <input type="checkbox" name="plex_collection_select" value="${col.key}" data-label="${col.title}" onchange="updateAddButtonText()"
+                    <input type="checkbox" name="${server}_collection_select" value="${col.key}" data-label="${col.title}" onchange="updateAddButtonText()"
                         class="peer appearance-none w-5 h-5 border-2 border-gray-500 rounded bg-transparent checked:bg-purple-500 checked:border-purple-500 transition-all cursor-pointer">
                     <svg class="absolute w-3.5 h-3.5 text-white pointer-events-none opacity-0 peer-checked:opacity-100 left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2 transition-opacity" 
                         fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="3" d="M5 13l4 4L19 7"></path></svg>
@@ -444,7 +914,7 @@ async function loadPlexCollections(selectedId = null) {
         });
 
     } catch (e) {
-        console.error("Failed to load Plex collections", e);
+        console.error(`Failed to load ${server} collections`, e);
         select.innerHTML = '<option value="">Error loading collections</option>';
         multiContainer.innerHTML = '<div class="text-red-400 text-sm">Error loading collections</div>';
     } finally {
@@ -463,6 +933,7 @@ function populateDefaultMulti() {
 
     Array.from(select.options).forEach(opt => {
         if (!opt.value) return; // Skip placeholder
+        if (opt.parentElement.classList.contains('hidden')) return; // Skip account lists while disconnected
 
         const label = document.createElement('label');
         label.className = "flex items-center gap-3 p-2 rounded hover:bg-white/5 cursor-pointer group transition-colors";
@@ -482,7 +953,15 @@ function populateDefaultMulti() {
 document.querySelectorAll('input[name="list-content-type"]').forEach(radio => {
     radio.addEventListener('change', () => {
         if (document.getElementById('source-type').value === 'plex_collection') {
-            loadPlexCollections();
+            if (document.getElementById('plex-mode').value === 'query') {
+                loadPlexLibraries();
+            } else {
+                loadPlexCollections();
+            }
+        } else if (document.getElementById('source-type').value === 'jellyfin_collection') {
+            loadJellyfinCollections();
+        } else if (document.getElementById('source-type').value === 'composite_list') {
+            renderCompositeOptions();
         }
         // Also update text if switching to default list and re-rendering checkboxes?
         // Actually populateDefaultMulti is static from index.html options, but toggleSourceFields refreshes visibility.
@@ -493,6 +972,8 @@ document.getElementById('source-type').addEventListener('change', () => {
     toggleSourceFields();
     if (document.getElementById('source-type').value === 'plex_collection') {
         loadPlexCollections();
+    } else if (document.getElementById('source-type').value === 'jellyfin_collection') {
+        loadJellyfinCollections();
     }
 });
 
@@ -536,27 +1017,38 @@ async function saveList() {
         const type = document.getElementById('source-type').value;
         const contentType = document.querySelector('input[name="list-content-type"]:checked').value;
         const group = document.getElementById('list-group').value.trim();
+        const description = document.getElementById('list-description').value.trim();
+        const calendar = readCalendarRule();
+        const filters = readItemFilters();
+        const weightInput = document.getElementById('list-weight').value;
+        const weight = weightInput !== '' ? Math.max(0, parseFloat(weightInput) || 0) : null;
         const shuffle = document.getElementById('list-shuffle').checked;
+        const hideWatched = document.getElementById('list-hide-watched').checked;
         const limitInput = document.getElementById('list-limit').value;
         const limit = limitInput ? parseInt(limitInput, 10) : (state.defaultItemLimit || DEFAULT_LIMIT);
 
         // BATCH CREATION LOGIC (Add Mode Only)
-        if (!currentEditingListId && ['default_list', 'plex_collection', 'trakt_user_list', 'mdblist_list'].includes(type)) {
+        const isPlexQuery = type === 'plex_collection' && document.getElementById('plex-mode').value === 'query';
+        if (!currentEditingListId && !isPlexQuery && ['default_list', 'plex_collection', 'jellyfin_collection', 'trakt_user_list', 'mdblist_list'].includes(type)) {
             let items = [];
 
             if (type === 'default_list') {
                 const checked = document.querySelectorAll('input[name="default_list_select"]:checked');
                 checked.forEach(chk => {
+                    const config = toDefaultListConfig(chk.value, chk.dataset.label);
                     items.push({
-                        config: { listType: chk.value, listTypeLabel: chk.dataset.label },
-                        alias: chk.dataset.label
+                        config,
+                        alias: config.listTypeLabel
                     });
                 });
-            } else if (type === 'plex_collection') {
-                const checked = document.querySelectorAll('input[name="plex_collection_select"]:checked');
+            } else if (type === 'plex_collection' || type === 'jellyfin_collection') {
+                const server = type === 'plex_collection' ? 'plex' : 'jellyfin';
+                const checked = document.querySelectorAll(`input[name="${server}_collection_select"]:checked`);
                 checked.forEach(chk => {
+                    const config = { collectionId: chk.value, collectionName: chk.dataset.label };
+                    if (server === 'plex') config.serverId = document.getElementById('plex-server').value || undefined;
                     items.push({
-                        config: { collectionId: chk.value, collectionName: chk.dataset.label },
+                        config,
                         alias: chk.dataset.label
                     });
                 });
@@ -602,8 +1094,13 @@ async function saveList() {
                         contentType,
                         config: item.config,
                         shuffle,
+                        hideWatched,
                         limit,
-                        group
+                        group,
+                        description,
+                        weight,
+                        calendar,
+                        filters
                     })
                 });
                 if (res.ok) successCount++;
@@ -635,10 +1132,7 @@ async function saveList() {
                 showToast("Please select a list type.", 'error');
                 return;
             }
-            config = {
-                listType: select.value,
-                listTypeLabel: select.options[select.selectedIndex].text
-            };
+            config = toDefaultListConfig(select.value, select.options[select.selectedIndex].text);
             if (!alias) alias = config.listTypeLabel;
         } else if (type === 'mdblist_list') {
             config = {
@@ -646,18 +1140,65 @@ async function saveList() {
                 listName: document.getElementById('mdblist-list-name').value
             };
             if (!alias) alias = config.listName || "MDBList";
-        } else if (type === 'plex_collection') {
+        } else if (isPlexQuery) {
+            const query = readPlexQuery();
+            if (!query.sectionKey) {
+                showToast("Please select a Plex library.", 'error');
+                return;
+            }
+            config = { query, collectionName: formatPlexQueryAlias(query), serverId: document.getElementById('plex-server').value || undefined };
+            if (!alias) alias = config.collectionName;
+        } else if (type === 'plex_collection' || type === 'jellyfin_collection') {
             // Edit Mode Fallback
-            const colSelect = document.getElementById('plexCollectionId');
+            const colSelect = document.getElementById(type === 'plex_collection' ? 'plexCollectionId' : 'jellyfinCollectionId');
             if (!colSelect.value) {
-                showToast("Please select a Plex collection.", 'error');
+                showToast(`Please select a ${type === 'plex_collection' ? 'Plex' : 'Jellyfin'} collection.`, 'error');
                 return;
             }
             config = {
                 collectionId: colSelect.value,
                 collectionName: colSelect.options[colSelect.selectedIndex].textContent
             };
+            if (type === 'plex_collection') config.serverId = document.getElementById('plex-server').value || undefined;
             if (!alias) alias = config.collectionName;
+        } else if (type === 'tmdb_list') {
+            config = readTmdbConfig();
+            if (config.feed === 'list' && !config.listId) {
+                showToast("Please enter a TMDB list ID.", 'error');
+                return;
+            }
+            if (!alias) alias = formatTmdbAlias(config, contentType);
+        } else if (type === 'composite_list') {
+            config = readCompositeConfig();
+            if (config.listIds.length < (config.operation === 'union' ? 1 : 2)) {
+                showToast(config.operation === 'union' ? "Please select a list." : "Please select a first list and at least one other list.", 'error');
+                return;
+            }
+            if (!alias) alias = formatCompositeAlias(config);
+        } else if (type === 'addon_catalog') {
+            config = readAddonConfig();
+            if (!config) {
+                showToast("Please load the addon and select a catalog.", 'error');
+                return;
+            }
+            if (!alias) alias = formatAddonAlias(config);
+        } else if (type === 'custom_list') {
+            if (customListItems.length === 0) {
+                showToast("Please add at least one title.", 'error');
+                return;
+            }
+            config = { items: customListItems };
+            if (!alias) alias = 'Custom List';
+        } else if (type === 'letterboxd_list') {
+            config = {
+                username: document.getElementById('letterboxd-username').value.trim(),
+                listSlug: document.getElementById('letterboxd-list-slug').value.trim()
+            };
+            if (!config.username || !config.listSlug) {
+                showToast("Please enter a Letterboxd username and list slug.", 'error');
+                return;
+            }
+            if (!alias) alias = config.listSlug === 'watchlist' ? `${config.username}'s Letterboxd Watchlist` : config.listSlug;
         }
 
         if (currentEditingListId) {
@@ -665,7 +1206,7 @@ async function saveList() {
             const res = await fetch(`${API_BASE}/lists/${currentEditingListId}`, {
                 method: 'PUT',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ alias, type, contentType, config, shuffle, limit, group })
+                body: JSON.stringify({ alias, type, contentType, config, shuffle, hideWatched, limit, group, description, weight, calendar, filters })
             });
             if (!res.ok) {
                 const data = await res.json();
@@ -677,7 +1218,7 @@ async function saveList() {
             const res = await fetch(`${API_BASE}/lists`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ alias, type, contentType, config, shuffle, limit, group })
+                body: JSON.stringify({ alias, type, contentType, config, shuffle, hideWatched, limit, group, description, weight, calendar, filters })
             });
             if (!res.ok) {
                 const data = await res.json();
@@ -699,6 +1240,95 @@ async function saveList() {
     }
 }
 
+/**
+ * Reads the calendar rule from the list modal.
+ * @returns {Object|null} The rule, or null if no condition is set.
+ */
+function readCalendarRule() {
+    const rule = {};
+    const days = Array.from(document.querySelectorAll('input[name="list-calendar-day"]:checked')).map(el => parseInt(el.value, 10));
+    if (days.length > 0) rule.days = days;
+
+    const fields = {
+        startTime: 'list-calendar-start-time',
+        endTime: 'list-calendar-end-time',
+        startDate: 'list-calendar-start-date',
+        endDate: 'list-calendar-end-date'
+    };
+    Object.entries(fields).forEach(([key, id]) => {
+        const value = document.getElementById(id).value.trim();
+        if (value) rule[key] = value;
+    });
+
+    if (Object.keys(rule).length === 0) return null;
+    if (document.getElementById('list-calendar-exclusive').checked) rule.exclusive = true;
+    return rule;
+}
+
+/**
+ * Fills the calendar rule fields of the list modal.
+ * @param {Object|null} rule - The rule to show, or null to clear the fields.
+ */
+function fillCalendarRule(rule) {
+    const r = rule || {};
+    document.querySelectorAll('input[name="list-calendar-day"]').forEach(el => {
+        el.checked = (r.days || []).includes(parseInt(el.value, 10));
+    });
+    document.getElementById('list-calendar-start-time').value = r.startTime || '';
+    document.getElementById('list-calendar-end-time').value = r.endTime || '';
+    document.getElementById('list-calendar-start-date').value = r.startDate || '';
+    document.getElementById('list-calendar-end-date').value = r.endDate || '';
+    document.getElementById('list-calendar-exclusive').checked = !!r.exclusive;
+    document.getElementById('list-calendar').open = !!rule;
+}
+
+const ITEM_FILTER_NUMBER_FIELDS = {
+    minRating: 'list-filter-min-rating',
+    minYear: 'list-filter-min-year',
+    maxYear: 'list-filter-max-year',
+    minRuntime: 'list-filter-min-runtime',
+    maxRuntime: 'list-filter-max-runtime'
+};
+
+const ITEM_FILTER_LIST_FIELDS = {
+    genres: 'list-filter-genres',
+    excludeGenres: 'list-filter-exclude-genres',
+    certifications: 'list-filter-certifications',
+    languages: 'list-filter-languages'
+};
+
+/**
+ * Reads the item filters from the list modal.
+ * @returns {Object|null} The filters, or null if none is set.
+ */
+function readItemFilters() {
+    const filters = {};
+    Object.entries(ITEM_FILTER_NUMBER_FIELDS).forEach(([key, id]) => {
+        const value = parseFloat(document.getElementById(id).value);
+        if (!isNaN(value)) filters[key] = value;
+    });
+    Object.entries(ITEM_FILTER_LIST_FIELDS).forEach(([key, id]) => {
+        const values = document.getElementById(id).value.split(',').map(v => v.trim()).filter(v => v);
+        if (values.length > 0) filters[key] = values;
+    });
+    return Object.keys(filters).length > 0 ? filters : null;
+}
+
+/**
+ * Fills the item filter fields of the list modal.
+ * @param {Object|null} filters - The filters to show, or null to clear the fields.
+ */
+function fillItemFilters(filters) {
+    const f = filters || {};
+    Object.entries(ITEM_FILTER_NUMBER_FIELDS).forEach(([key, id]) => {
+        document.getElementById(id).value = f[key] ?? '';
+    });
+    Object.entries(ITEM_FILTER_LIST_FIELDS).forEach(([key, id]) => {
+        document.getElementById(id).value = (f[key] || []).join(', ');
+    });
+    document.getElementById('list-filters').open = !!filters;
+}
+
 /**
  * Displays a toast notification.
  * @param {string} message - The message to display.
@@ -741,7 +1371,12 @@ function showToast(message, type = 'success') {
  */
 async function deleteList(id) {
     if (!confirm("Delete this list?")) return;
-    await fetch(`${API_BASE}/lists/${id}`, { method: 'DELETE' });
+    const res = await fetch(`${API_BASE}/lists/${id}`, { method: 'DELETE' });
+    if (!res.ok) {
+        const data = await res.json();
+        showToast(data.error || "Failed to delete list", 'error');
+        return;
+    }
     loadData();
 }
 
@@ -913,9 +1548,81 @@ function openConfigSlotModal(id) {
         if (r.value === (slot.type || 'movie')) r.checked = true;
     }
 
+    const scheduleType = slot.schedule?.cron ? 'cron' : (slot.schedule?.intervalHours ? 'interval' : 'inherit');
+    document.getElementById('config-slot-schedule-type').value = scheduleType;
+    document.getElementById('config-slot-schedule-hours').value = slot.schedule?.intervalHours || '';
+    document.getElementById('config-slot-schedule-cron').value = slot.schedule?.cron || '';
+    toggleScheduleFields();
+
+    document.getElementById('config-slot-rotation').value = slot.rotationMode || 'random';
+    document.getElementById('config-slot-no-repeat').value = slot.noRepeatCount ?? 2;
+    toggleRotationFields();
+
+    document.getElementById('config-slot-merge').value = slot.mergeStrategy || '';
+    document.getElementById('config-slot-merge-count').value = slot.mergeCount || '';
+    document.getElementById('config-slot-hide-watched').checked = slot.hideWatched || false;
+
+    const theme = { ...DEFAULT_HEADER_THEME, ...(slot.headerTheme || {}) };
+    document.getElementById('config-slot-header-position').value = slot.headerPosition || 'first';
+    HEADER_THEME_FIELDS.forEach(key => {
+        document.getElementById(`config-slot-header-${key}`).value = theme[key];
+    });
+    updateHeaderPreview();
+    toggleMergeFields();
+
     document.getElementById('config-slot-modal').classList.remove('hidden');
     document.getElementById('slot-list-filter').value = ''; // Reset filter
-    renderSlotConfigLists(slot.listIds, slot.type || 'movie');
+    renderSlotConfigLists(slot.listIds, slot.type || 'movie', slot.listWeights || {});
+}
+
+/**
+ * Shows the hours or cron input matching the selected slot schedule type.
+ */
+function toggleScheduleFields() {
+    const type = document.getElementById('config-slot-schedule-type').value;
+    document.getElementById('config-slot-schedule-hours').classList.toggle('hidden', type !== 'interval');
+    document.getElementById('config-slot-schedule-cron').classList.toggle('hidden', type !== 'cron');
+}
+
+/**
+ * Shows the "avoid last N" input only for the no-repeat rotation mode.
+ */
+function toggleRotationFields() {
+    const mode = document.getElementById('config-slot-rotation').value;
+    document.getElementById('config-slot-no-repeat-container').classList.toggle('hidden', mode !== 'no_repeat');
+}
+
+/**
+ * Reads the header theme from the slot config modal.
+ * @returns {Object} The theme.
+ */
+function readHeaderTheme() {
+    const theme = {};
+    HEADER_THEME_FIELDS.forEach(key => {
+        theme[key] = document.getElementById(`config-slot-header-${key}`).value;
+    });
+    return theme;
+}
+
+/**
+ * Re-renders the header poster preview in the slot config modal with the current (unsaved) theme.
+ */
+function updateHeaderPreview() {
+    const slot = state.slots.find(s => s.id === currentConfigSlotId);
+    const params = new URLSearchParams({
+        ...readHeaderTheme(),
+        name: slot?.currentSelection?.name || slot?.alias || 'Shufflist',
+        count: String(Math.max((slot?.currentSelection?.items.length || 1) - 1, 0))
+    });
+    document.getElementById('config-slot-header-preview').src = `${getProfilePath()}/header/${currentConfigSlotId}.svg?${params}`;
+}
+
+/**
+ * Shows the "number of lists" input only when merging is enabled.
+ */
+function toggleMergeFields() {
+    const strategy = document.getElementById('config-slot-merge').value;
+    document.getElementById('config-slot-merge-count-container').classList.toggle('hidden', !strategy);
 }
 
 /**
@@ -924,15 +1631,16 @@ function openConfigSlotModal(id) {
 function refreshConfigListFilter() {
     const type = document.querySelector('input[name="config-slot-type"]:checked').value;
     const slot = state.slots.find(s => s.id === currentConfigSlotId);
-    renderSlotConfigLists(slot.listIds, type);
+    renderSlotConfigLists(slot.listIds, type, slot.listWeights || {});
 }
 
 /**
  * Renders the list checkboxes for slot configuration.
  * @param {string[]} selectedIds - Array of selected list IDs.
  * @param {string} slotType - The type of slot ('movie' or 'series').
+ * @param {Object<string, number>} listWeights - Per-slot weight overrides keyed by list ID.
  */
-function renderSlotConfigLists(selectedIds = [], slotType = 'movie') {
+function renderSlotConfigLists(selectedIds = [], slotType = 'movie', listWeights = {}) {
     const checkboxContainer = document.getElementById('slot-list-checkboxes');
 
     if (document.getElementById('slot-list-filter')) {
@@ -955,20 +1663,63 @@ function renderSlotConfigLists(selectedIds = [], slotType = 'movie') {
                         </div>
                     </div>
                     <span class="text-xs text-gray-500 ml-auto whitespace-nowrap">${formatSourceType(list.type)}</span>
+                    <input type="number" min="0" step="0.1" name="slot_list_weight" data-list-id="${list.id}"
+                        value="${listWeights[list.id] ?? ''}" placeholder="${list.weight ?? 1}" oninput="updateSlotProbabilities()" onclick="event.stopPropagation()"
+                        class="w-14 text-xs bg-gray-700 border border-gray-600 rounded px-1 py-0.5 outline-none focus:ring-1 focus:ring-purple-500" title="Weight in this catalog">
+                    <span class="slot-list-chance text-xs text-purple-300 w-10 text-right whitespace-nowrap" data-list-id="${list.id}"></span>
                 </label>
         `;
     }).join('');
 
+    checkboxContainer.querySelectorAll('input[name="slot_list_select"]').forEach(el => {
+        el.addEventListener('change', updateSlotProbabilities);
+    });
+    updateSlotProbabilities();
+
     if (validLists.length === 0) {
         checkboxContainer.innerHTML = `< div class="text-sm text-red-400 p-2" > No ${slotType} lists available.</div > `;
     }
 }
 
+/**
+ * Gets the effective weight of a list in the slot config modal (slot override, else the list's own weight).
+ * @param {string} listId - The list ID.
+ * @returns {number} The weight.
+ */
+function getSlotListWeight(listId) {
+    const input = document.querySelector(`input[name="slot_list_weight"][data-list-id="${listId}"]`);
+    if (input && input.value !== '') return Math.max(0, parseFloat(input.value) || 0);
+    const list = state.lists.find(l => l.id === listId);
+    return list?.weight ?? 1;
+}
+
+/**
+ * Updates the selection chance shown next to each list in the slot config modal.
+ * Lists with weight 0 are never picked; a warning is shown when no selected list has any weight.
+ */
+function updateSlotProbabilities() {
+    const selected = Array.from(document.querySelectorAll('input[name="slot_list_select"]:checked')).map(el => el.value);
+    const total = selected.reduce((sum, id) => sum + getSlotListWeight(id), 0);
+
+    document.querySelectorAll('.slot-list-chance').forEach(el => {
+        const id = el.dataset.listId;
+        if (!selected.includes(id)) {
+            el.innerText = '';
+        } else if (total <= 0) {
+            el.innerText = '0%';
+        } else {
+            el.innerText = `${Math.round(getSlotListWeight(id) / total * 100)}%`;
+        }
+    });
+    document.getElementById('slot-list-weight-warning').classList.toggle('hidden', selected.length === 0 || total > 0);
+}
+
 /**
  * Selects all visible lists in the slot config modal.
  */
 function selectAllLists() {
     document.querySelectorAll('input[name="slot_list_select"]').forEach(el => el.checked = true);
+    updateSlotProbabilities();
 }
 
 /**
@@ -976,6 +1727,7 @@ function selectAllLists() {
  */
 function selectNoneLists() {
     document.querySelectorAll('input[name="slot_list_select"]').forEach(el => el.checked = false);
+    updateSlotProbabilities();
 }
 
 /**
@@ -1004,8 +1756,38 @@ async function saveSlotConfig() {
     const id = currentConfigSlotId;
     const alias = document.getElementById('config-slot-alias').value;
     const type = document.querySelector('input[name="config-slot-type"]:checked').value;
+    const scheduleType = document.getElementById('config-slot-schedule-type').value;
+    let schedule = null;
+    if (scheduleType === 'interval') {
+        const hours = parseInt(document.getElementById('config-slot-schedule-hours').value, 10);
+        if (isNaN(hours) || hours < 1) {
+            showToast("Invalid hours. Please enter a positive number.", 'error');
+            return;
+        }
+        schedule = { intervalHours: hours };
+    } else if (scheduleType === 'cron') {
+        const cron = document.getElementById('config-slot-schedule-cron').value.trim();
+        if (!cron) {
+            showToast("Please enter a cron expression.", 'error');
+            return;
+        }
+        schedule = { cron };
+    }
+    const rotationMode = document.getElementById('config-slot-rotation').value;
+    const noRepeatCount = parseInt(document.getElementById('config-slot-no-repeat').value, 10) || 1;
+    const mergeStrategy = document.getElementById('config-slot-merge').value || null;
+    const mergeCount = parseInt(document.getElementById('config-slot-merge-count').value, 10) || 0;
+    const hideWatched = document.getElementById('config-slot-hide-watched').checked;
+    const headerPosition = document.getElementById('config-slot-header-position').value;
+    const headerTheme = readHeaderTheme();
     const inputs = document.querySelectorAll('input[name="slot_list_select"]:checked');
     const listIds = Array.from(inputs).map(i => i.value);
+    const listWeights = {};
+    document.querySelectorAll('input[name="slot_list_weight"]').forEach(el => {
+        if (el.value !== '' && listIds.includes(el.dataset.listId)) {
+            listWeights[el.dataset.listId] = Math.max(0, parseFloat(el.value) || 0);
+        }
+    });
 
     // Warn if empty?
     if (listIds.length === 0) {
@@ -1015,9 +1797,15 @@ async function saveSlotConfig() {
     const res = await fetch(`${API_BASE}/slots/${id}`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ listIds, alias, type })
+        body: JSON.stringify({ listIds, listWeights, alias, type, rotationMode, noRepeatCount, mergeStrategy, mergeCount, hideWatched, headerPosition, headerTheme, schedule })
     });
 
+    if (!res.ok) {
+        const err = await res.json();
+        showToast(err.error || "Failed to save catalog", 'error');
+        return;
+    }
+
     // Check if type changed implicitly by comparing with current state before fetch
     const oldSlot = state.slots.find(s => s.id === id);
     if (oldSlot) {
@@ -1075,6 +1863,8 @@ function initAddList(sourceType) {
     toggleSourceFields();
     if (sourceType === 'plex_collection') {
         loadPlexCollections();
+    } else if (sourceType === 'jellyfin_collection') {
+        loadJellyfinCollections();
     }
 }
 
@@ -1102,13 +1892,31 @@ function openAddListModal(forcedType = 'movie') {
     document.getElementById('list-alias').value = '';
     document.getElementById('list-alias-container').classList.add('hidden'); // Hide for new lists
     document.getElementById('list-group').value = '';
+    document.getElementById('list-description').value = '';
+    document.getElementById('list-weight').value = '';
+    fillCalendarRule(null);
+    fillItemFilters(null);
     document.getElementById('source-type').value = 'default_list';
     document.getElementById('default-type').value = '';
+    document.getElementById('default-period').value = 'weekly';
     document.getElementById('trakt-username').value = '';
     document.getElementById('trakt-list-id').value = '';
     document.getElementById('mdblist-username').value = '';
     document.getElementById('mdblist-list-name').value = '';
+    fillTmdbConfig(null);
+    document.getElementById('letterboxd-username').value = '';
+    document.getElementById('letterboxd-list-slug').value = '';
+    resetCustomListFields([]);
+    fillCompositeConfig(null);
+    document.getElementById('plex-server').selectedIndex = 0;
+    document.getElementById('plex-mode').value = 'collections';
+    document.getElementById('plex-collection-fields').classList.remove('hidden');
+    document.getElementById('plex-query-fields').classList.add('hidden');
+    document.getElementById('addon-manifest-url').value = '';
+    addonManifest = null;
+    document.getElementById('addon-catalog-fields').classList.add('hidden');
     document.getElementById('list-shuffle').checked = false;
+    document.getElementById('list-hide-watched').checked = false;
     const limitInput = document.getElementById('list-limit');
     const defaultLimit = state.defaultItemLimit || DEFAULT_LIMIT;
     limitInput.value = defaultLimit;
@@ -1139,8 +1947,13 @@ function openEditListModal(id) {
     aliasInput.value = list.alias;
     document.getElementById('list-alias-container').classList.remove('hidden'); // Show for edit
     document.getElementById('list-group').value = list.group || '';
+    document.getElementById('list-description').value = list.description || '';
+    document.getElementById('list-weight').value = list.weight ?? '';
+    fillCalendarRule(list.calendar);
+    fillItemFilters(list.filters);
     document.getElementById('source-type').value = list.type;
     document.getElementById('list-shuffle').checked = list.shuffle || false;
+    document.getElementById('list-hide-watched').checked = list.hideWatched || false;
 
     const limitInput = document.getElementById('list-limit');
     const defaultLimit = state.defaultItemLimit || DEFAULT_LIMIT;
@@ -1156,16 +1969,36 @@ function openEditListModal(id) {
         document.getElementById('trakt-username').value = list.config.username || '';
         document.getElementById('trakt-list-id').value = list.config.listId || '';
     } else if (list.type === 'default_list') {
-        document.getElementById('default-type').value = list.config.listType || 'trending';
+        document.getElementById('default-period').value = list.config.period || 'weekly';
+        document.getElementById('default-type').value = list.config.listType === 'private_list'
+            ? `private_list:${list.config.listId}`
+            : (list.config.listType || 'trending');
     } else if (list.type === 'mdblist_list') {
         document.getElementById('mdblist-username').value = list.config.username || '';
         document.getElementById('mdblist-list-name').value = list.config.listName || list.config.listId || '';
+    } else if (list.type === 'tmdb_list') {
+        fillTmdbConfig(list.config);
+    } else if (list.type === 'composite_list') {
+        fillCompositeConfig(list.config);
+    } else if (list.type === 'addon_catalog') {
+        document.getElementById('addon-manifest-url').value = list.config.manifestUrl || '';
+        loadAddonCatalogs(list.config);
+    } else if (list.type === 'custom_list') {
+        resetCustomListFields([...(list.config.items || [])]);
+    } else if (list.type === 'letterboxd_list') {
+        document.getElementById('letterboxd-username').value = list.config.username || '';
+        document.getElementById('letterboxd-list-slug').value = list.config.listSlug || '';
     }
 
     toggleSourceFields();
 
     if (list.type === 'plex_collection') {
-        loadPlexCollections(list.config.collectionId);
+        const serverSelect = document.getElementById('plex-server');
+        serverSelect.value = list.config.serverId || (serverSelect.options[0] ? serverSelect.options[0].value : '');
+        document.getElementById('plex-mode').value = list.config.query ? 'query' : 'collections';
+        togglePlexMode(list.config.query || list.config.collectionId);
+    } else if (list.type === 'jellyfin_collection') {
+        loadJellyfinCollections(list.config.collectionId);
     }
 
     document.getElementById('add-list-modal').classList.remove('hidden');
@@ -1249,6 +2082,37 @@ function toggleSourceFields() {
         }
     }
 
+    if (type === 'letterboxd_list') {
+        document.getElementById('field-letterboxd').classList.remove('hidden');
+    }
+
+    if (type === 'addon_catalog') {
+        document.getElementById('field-addon').classList.remove('hidden');
+    }
+
+    if (type === 'composite_list') {
+        document.getElementById('field-composite').classList.remove('hidden');
+        renderCompositeOptions();
+    }
+
+    if (type === 'custom_list') {
+        document.getElementById('field-custom').classList.remove('hidden');
+        renderCustomItems();
+    }
+
+    if (type === 'tmdb_list') {
+        document.getElementById('field-tmdb').classList.remove('hidden');
+        toggleTmdbFeedFields();
+    }
+
+    if (type === 'jellyfin_collection') {
+        document.getElementById('jellyfinFields').classList.remove('hidden');
+
+        // Toggle Multi/Single select based on mode
+        document.getElementById('jellyfinCollectionId').classList.toggle('hidden', isAddMode);
+        document.getElementById('jellyfinCollectionMulti').classList.toggle('hidden', !isAddMode);
+    }
+
     if (type === 'plex_collection') {
         console.log("Plex Collection selected in UI");
         document.getElementById('plexFields').classList.remove('hidden');
@@ -1266,6 +2130,537 @@ function toggleSourceFields() {
     updateAddButtonText();
 }
 
+// --- Plex Library Query Helpers ---
+
+const PLEX_VIEW_LABELS = { all: '', unwatched: 'Unwatched', recentlyAdded: 'Recently Added', newest: 'Newest' };
+
+/**
+ * Switches the Plex fields between collections/playlists and library queries, and loads the options.
+ * @param {Object|string|null} selected - The library query or collection ID to pre-select, when editing.
+ */
+function togglePlexMode(selected = null) {
+    const isQuery = document.getElementById('plex-mode').value === 'query';
+    document.getElementById('plex-collection-fields').classList.toggle('hidden', isQuery);
+    document.getElementById('plex-query-fields').classList.toggle('hidden', !isQuery);
+
+    if (isQuery) {
+        loadPlexLibraries(selected);
+    } else {
+        loadPlexCollections(selected);
+    }
+}
+
+/**
+ * Loads the Plex libraries of the selected content type for the query builder.
+ * @param {Object|null} query - The library query to pre-fill (optional).
+ */
+async function loadPlexLibraries(query = null) {
+    const contentType = document.querySelector('input[name="list-content-type"]:checked').value;
+    const select = document.getElementById('plex-query-section');
+    select.innerHTML = '<option value="">Loading...</option>';
+    select.disabled = true;
+
+    const decadeSelect = document.getElementById('plex-query-decade');
+    if (decadeSelect.options.length <= 1) {
+        for (let decade = Math.floor(new Date().getFullYear() / 10) * 10; decade >= 1920; decade -= 10) {
+            decadeSelect.appendChild(new Option(`${decade}s`, decade));
+        }
+    }
+
+    try {
+        const server = document.getElementById('plex-server').value;
+        const res = await fetch(`${API_BASE}/plex/libraries?${new URLSearchParams({ type: contentType, server })}`);
+        if (!res.ok) throw new Error("Failed to fetch");
+        plexLibraries = await res.json();
+
+        select.innerHTML = '';
+        plexLibraries.forEach(section => select.appendChild(new Option(section.title, section.key)));
+        if (plexLibraries.length === 0) select.innerHTML = '<option value="">No libraries found</option>';
+
+        if (query) {
+            select.value = query.sectionKey;
+            document.getElementById('plex-query-view').value = query.view || 'all';
+            decadeSelect.value = query.decade || '';
+            document.getElementById('plex-query-filter').value = query.filter || '';
+        }
+        renderPlexGenres(query ? query.genre : '');
+    } catch (e) {
+        console.error("Failed to load Plex libraries", e);
+        select.innerHTML = '<option value="">Error loading libraries</option>';
+    } finally {
+        select.disabled = false;
+    }
+}
+
+/**
+ * Fills the genre select with the selected library's genres.
+ * @param {string} selected - The genre key to select (optional).
+ */
+function renderPlexGenres(selected = '') {
+    const select = document.getElementById('plex-query-genre');
+    const section = plexLibraries.find(s => s.key === document.getElementById('plex-query-section').value);
+    select.innerHTML = '<option value="">Any genre</option>';
+    (section ? section.genres : []).forEach(genre => select.appendChild(new Option(genre.title, genre.key, false, genre.key === selected)));
+}
+
+/**
+ * Reads the Plex library query from the list modal.
+ * @returns {Object} The query.
+ */
+function readPlexQuery() {
+    const query = {
+        sectionKey: document.getElementById('plex-query-section').value,
+        view: document.getElementById('plex-query-view').value
+    };
+    const genre = document.getElementById('plex-query-genre').value;
+    const decade = document.getElementById('plex-query-decade').value;
+    const filter = document.getElementById('plex-query-filter').value.trim();
+    if (genre) query.genre = genre;
+    if (decade) query.decade = parseInt(decade, 10);
+    if (filter) query.filter = filter;
+    return query;
+}
+
+/**
+ * Builds a default alias for a Plex library query, e.g. "Films: Unwatched Comedy 1990s".
+ * @param {Object} query - The query.
+ * @returns {string} The alias.
+ */
+function formatPlexQueryAlias(query) {
+    const section = plexLibraries.find(s => s.key === query.sectionKey);
+    const genre = section && query.genre ? (section.genres.find(g => g.key === query.genre) || {}).title : '';
+    const parts = [PLEX_VIEW_LABELS[query.view], genre, query.decade && `${query.decade}s`, query.filter].filter(Boolean);
+    return `${section ? section.title : 'Plex'}: ${parts.length ? parts.join(' ') : 'All'}`;
+}
+
+// --- Composite List Helpers ---
+
+/**
+ * Fills the composite list fields of the list modal.
+ * @param {Object|null} config - The list config, or null to reset.
+ */
+function fillCompositeConfig(config) {
+    const listIds = (config && config.listIds) || [];
+    document.getElementById('composite-operation').value = (config && config.operation) || 'union';
+    compositeSelection = { base: listIds[0] || '', others: listIds.slice(1) };
+    document.getElementById('composite-others').innerHTML = '';
+}
+
+/**
+ * Gets the lists a composite list may use: those of the selected content type, except the list being edited.
+ * @returns {Array} The lists.
+ */
+function getCompositeCandidates() {
+    const contentType = document.querySelector('input[name="list-content-type"]:checked').value;
+    return state.lists.filter(l => (l.contentType || 'movie') === contentType && l.id !== currentEditingListId);
+}
+
+/**
+ * Renders the first-list select and the other-lists checkboxes from the current selection.
+ */
+function renderCompositeOptions() {
+    const select = document.getElementById('composite-base');
+    select.innerHTML = '<option value="">Select a list...</option>';
+    getCompositeCandidates().forEach(list => {
+        select.appendChild(new Option(list.alias, list.id, false, list.id === compositeSelection.base));
+    });
+    renderCompositeOthers();
+}
+
+/**
+ * Renders the other-lists checkboxes, leaving out the selected first list.
+ */
+function renderCompositeOthers() {
+    const container = document.getElementById('composite-others');
+    const base = document.getElementById('composite-base').value;
+    // Keep ticked boxes across re-renders
+    container.querySelectorAll('input[name="composite_other_select"]').forEach(chk => {
+        compositeSelection.others = compositeSelection.others.filter(id => id !== chk.value);
+        if (chk.checked) compositeSelection.others.push(chk.value);
+    });
+    compositeSelection.base = base;
+
+    container.innerHTML = '';
+    const candidates = getCompositeCandidates().filter(l => l.id !== base);
+    if (candidates.length === 0) {
+        container.innerHTML = '<div class="text-gray-500 text-sm italic p-1">No other lists of this type.</div>';
+        return;
+    }
+    candidates.forEach(list => {
+        const label = document.createElement('label');
+        label.className = 'flex items-center gap-2 p-1 rounded hover:bg-white/5 cursor-pointer text-sm text-gray-300';
+        const chk = document.createElement('input');
+        chk.type = 'checkbox';
+        chk.name = 'composite_other_select';
+        chk.value = list.id;
+        chk.checked = compositeSelection.others.includes(list.id);
+        chk.className = 'accent-blue-500 w-4 h-4';
+        const text = document.createElement('span');
+        text.textContent = list.alias;
+        label.append(chk, text);
+        container.appendChild(label);
+    });
+}
+
+/**
+ * Reads the composite list config from the list modal.
+ * @returns {Object} The list config ({ operation, listIds }, first list first).
+ */
+function readCompositeConfig() {
+    const base = document.getElementById('composite-base').value;
+    const others = Array.from(document.querySelectorAll('input[name="composite_other_select"]:checked')).map(chk => chk.value);
+    return {
+        operation: document.getElementById('composite-operation').value,
+        listIds: base ? [base, ...others.filter(id => id !== base)] : others
+    };
+}
+
+/**
+ * Builds a default alias for a composite list, e.g. "Trakt Popular ∩ 4K Movies".
+ * @param {Object} config - The list config.
+ * @returns {string} The alias.
+ */
+function formatCompositeAlias(config) {
+    const symbol = { union: ' ∪ ', intersection: ' ∩ ', difference: ' − ' }[config.operation];
+    return config.listIds.map(id => (state.lists.find(l => l.id === id) || {}).alias || id).join(symbol);
+}
+
+// --- Stremio Addon Helpers ---
+
+/**
+ * Reads the entered addon manifest and lists its catalogs.
+ * @param {Object|null} selected - The list config to pre-select (catalog and extras), when editing.
+ */
+async function loadAddonCatalogs(selected = null) {
+    const url = document.getElementById('addon-manifest-url').value.trim();
+    const btn = document.getElementById('addon-load-btn');
+    const select = document.getElementById('addon-catalog');
+    if (!url) {
+        showToast("Please enter the addon's manifest URL.", 'error');
+        return;
+    }
+
+    btn.disabled = true;
+    btn.innerText = 'Loading...';
+    try {
+        const res = await fetch(`${API_BASE}/addons/catalogs?url=${encodeURIComponent(url)}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to read manifest');
+
+        addonManifest = data;
+        select.innerHTML = '';
+        data.catalogs.forEach((catalog, index) => {
+            const opt = document.createElement('option');
+            opt.value = index;
+            opt.textContent = `${catalog.name} (${catalog.type})`;
+            if (selected && catalog.type === selected.catalogType && catalog.id === selected.catalogId) opt.selected = true;
+            select.appendChild(opt);
+        });
+
+        if (data.catalogs.length === 0) {
+            showToast("This addon has no browsable catalogs.", 'warning');
+            document.getElementById('addon-catalog-fields').classList.add('hidden');
+            return;
+        }
+        document.getElementById('addon-catalog-fields').classList.remove('hidden');
+        renderAddonExtras(selected ? selected.extra : null);
+    } catch (e) {
+        console.error("Failed to load addon catalogs", e);
+        showToast(e.message || "Failed to read addon manifest.", 'error');
+    } finally {
+        btn.disabled = false;
+        btn.innerText = 'Load';
+    }
+}
+
+/**
+ * Renders inputs for the selected catalog's extras (e.g. a genre select) and matches the content type to it.
+ * @param {Object|null} values - Extra values to pre-fill.
+ */
+function renderAddonExtras(values = null) {
+    const container = document.getElementById('addon-extras');
+    container.innerHTML = '';
+    const catalog = getSelectedAddonCatalog();
+    if (!catalog) return;
+
+    if (!currentEditingListId && ['movie', 'series'].includes(catalog.type)) {
+        for (const r of document.getElementsByName('list-content-type')) r.checked = r.value === catalog.type;
+    }
+
+    catalog.extra.filter(e => e.name !== 'skip' && e.name !== 'search').forEach(extra => {
+        const value = (values && values[extra.name]) || '';
+        let input;
+        if (extra.options && extra.options.length) {
+            input = document.createElement('select');
+            if (!extra.isRequired) input.appendChild(new Option(`Any ${extra.name}`, ''));
+            extra.options.forEach(option => input.appendChild(new Option(option, option, false, option === value)));
+        } else {
+            input = document.createElement('input');
+            input.type = 'text';
+            input.placeholder = extra.name + (extra.isRequired ? ' (required)' : '');
+            input.value = value;
+        }
+        input.className = 'addon-extra bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 outline-none';
+        input.dataset.extra = extra.name;
+        input.title = extra.name;
+        container.appendChild(input);
+    });
+}
+
+/**
+ * Gets the catalog selected in the list modal.
+ * @returns {Object|null} The catalog from the loaded manifest.
+ */
+function getSelectedAddonCatalog() {
+    const index = document.getElementById('addon-catalog').value;
+    return addonManifest && index !== '' ? addonManifest.catalogs[index] : null;
+}
+
+/**
+ * Reads the addon catalog config from the list modal.
+ * @returns {Object|null} The list config, or null if no catalog is selected.
+ */
+function readAddonConfig() {
+    const catalog = getSelectedAddonCatalog();
+    if (!catalog) return null;
+
+    const extra = {};
+    document.querySelectorAll('.addon-extra').forEach(input => {
+        if (input.value.trim()) extra[input.dataset.extra] = input.value.trim();
+    });
+    return {
+        manifestUrl: document.getElementById('addon-manifest-url').value.trim(),
+        catalogType: catalog.type,
+        catalogId: catalog.id,
+        catalogName: catalog.name,
+        addonName: addonManifest.name,
+        extra
+    };
+}
+
+/**
+ * Builds a default alias for an addon catalog, e.g. "Netflix: Popular (Comedy)".
+ * @param {Object} config - The list config.
+ * @returns {string} The alias.
+ */
+function formatAddonAlias(config) {
+    const extras = Object.values(config.extra);
+    return `${config.addonName}: ${config.catalogName}${extras.length ? ` (${extras.join(', ')})` : ''}`;
+}
+
+// --- Custom List Helpers ---
+
+/**
+ * Resets the custom list fields of the list modal.
+ * @param {Array} items - The list's titles.
+ */
+function resetCustomListFields(items) {
+    customListItems = items;
+    document.getElementById('custom-input').value = '';
+    document.getElementById('custom-file').value = '';
+    document.getElementById('custom-unresolved').classList.add('hidden');
+    renderCustomItems();
+}
+
+/**
+ * Resolves the pasted text and/or uploaded file and appends the titles to the custom list.
+ */
+async function importCustomItems() {
+    const input = document.getElementById('custom-input');
+    const fileInput = document.getElementById('custom-file');
+    const btn = document.getElementById('custom-import-btn');
+    const unresolvedEl = document.getElementById('custom-unresolved');
+
+    const sources = [];
+    if (input.value.trim()) sources.push({ text: input.value, fileName: '' });
+    const file = fileInput.files[0];
+    if (file) sources.push({ text: await file.text(), fileName: file.name });
+    if (sources.length === 0) {
+        showToast("Paste some IMDB ids or choose a file first.", 'error');
+        return;
+    }
+
+    btn.disabled = true;
+    btn.innerText = 'Resolving...';
+    try {
+        const unresolved = [];
+        let added = 0;
+        for (const source of sources) {
+            const res = await fetch(`${API_BASE}/custom-lists/resolve`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(source)
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Import failed');
+
+            for (const item of data.items) {
+                if (!customListItems.some(i => i.id === item.id)) {
+                    customListItems.push(item);
+                    added++;
+                }
+            }
+            unresolved.push(...data.unresolved);
+        }
+
+        input.value = '';
+        fileInput.value = '';
+        unresolvedEl.classList.toggle('hidden', unresolved.length === 0);
+        unresolvedEl.textContent = `Could not find ${unresolved.length} title(s): ${unresolved.slice(0, 10).join(', ')}${unresolved.length > 10 ? ', ...' : ''}`;
+        showToast(`Added ${added} title(s).`);
+        renderCustomItems();
+    } catch (e) {
+        console.error(e);
+        showToast(e.message || "Failed to import titles.", 'error');
+    } finally {
+        btn.disabled = false;
+        btn.innerText = 'Add';
+    }
+}
+
+/**
+ * Renders the custom list's titles with move and remove controls.
+ */
+function renderCustomItems() {
+    const container = document.getElementById('custom-items');
+    document.getElementById('custom-count').innerText = customListItems.length;
+    container.innerHTML = '';
+
+    if (customListItems.length === 0) {
+        container.innerHTML = '<div class="text-gray-500 text-sm italic p-1">No titles yet.</div>';
+        return;
+    }
+
+    customListItems.forEach((item, index) => {
+        const row = document.createElement('div');
+        row.className = 'flex items-center gap-2 px-2 py-1 rounded hover:bg-white/5 text-sm';
+
+        const label = document.createElement('span');
+        label.className = 'flex-1 min-w-0 truncate text-gray-300';
+        label.textContent = `${item.name}${item.year ? ` (${item.year})` : ''}`;
+        label.title = item.id;
+
+        const type = document.createElement('span');
+        type.className = 'text-[10px] uppercase text-gray-500';
+        type.textContent = item.type === 'series' ? 'Series' : 'Movie';
+
+        row.append(label, type);
+        for (const [text, title, action] of [['↑', 'Move up', () => moveCustomItem(index, -1)], ['↓', 'Move down', () => moveCustomItem(index, 1)], ['✕', 'Remove', () => removeCustomItem(index)]]) {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'px-1 text-gray-500 hover:text-white';
+            btn.textContent = text;
+            btn.title = title;
+            btn.onclick = action;
+            row.appendChild(btn);
+        }
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Moves a custom list title up or down.
+ * @param {number} index - The title's position.
+ * @param {number} offset - -1 to move up, 1 to move down.
+ */
+function moveCustomItem(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= customListItems.length) return;
+    [customListItems[index], customListItems[target]] = [customListItems[target], customListItems[index]];
+    renderCustomItems();
+}
+
+/**
+ * Removes a title from the custom list.
+ * @param {number} index - The title's position.
+ */
+function removeCustomItem(index) {
+    customListItems.splice(index, 1);
+    renderCustomItems();
+}
+
+/**
+ * Removes every title from the custom list.
+ */
+function clearCustomItems() {
+    if (customListItems.length && !confirm("Remove all titles from this list?")) return;
+    resetCustomListFields([]);
+}
+
+// --- TMDB Helpers ---
+
+const TMDB_FEED_LABELS = {
+    trending: 'Trending',
+    now_playing: 'Now Playing',
+    upcoming: 'Upcoming',
+    discover: 'Discover',
+    list: 'List'
+};
+
+/**
+ * Shows the TMDB fields used by the selected feed.
+ */
+function toggleTmdbFeedFields() {
+    const feed = document.getElementById('tmdb-feed').value;
+    document.getElementById('tmdb-list-fields').classList.toggle('hidden', feed !== 'list');
+    document.getElementById('tmdb-trending-fields').classList.toggle('hidden', feed !== 'trending');
+    document.getElementById('tmdb-discover-fields').classList.toggle('hidden', feed !== 'discover');
+}
+
+/**
+ * Reads the TMDB source config from the list modal. Only the selected feed's fields are kept.
+ * @returns {Object} The list config.
+ */
+function readTmdbConfig() {
+    const value = id => document.getElementById(id).value.trim();
+    const feed = value('tmdb-feed');
+    const config = { feed };
+
+    if (feed === 'list') config.listId = value('tmdb-list-id');
+    if (feed === 'trending') config.timeWindow = value('tmdb-time-window');
+    if (feed === 'discover') {
+        for (const [key, id] of [['genres', 'tmdb-genres'], ['language', 'tmdb-language'], ['providers', 'tmdb-providers'], ['region', 'tmdb-region'], ['sortBy', 'tmdb-sort']]) {
+            if (value(id)) config[key] = value(id);
+        }
+        if (value('tmdb-year')) config.year = parseInt(value('tmdb-year'));
+    }
+    return config;
+}
+
+/**
+ * Fills the TMDB fields of the list modal.
+ * @param {Object|null} config - The list config, or null to reset.
+ */
+function fillTmdbConfig(config) {
+    config = config || {};
+    document.getElementById('tmdb-feed').value = config.feed || 'trending';
+    document.getElementById('tmdb-list-id').value = config.listId || '';
+    document.getElementById('tmdb-time-window').value = config.timeWindow || 'week';
+    document.getElementById('tmdb-genres').value = config.genres || '';
+    document.getElementById('tmdb-year').value = config.year || '';
+    document.getElementById('tmdb-language').value = config.language || '';
+    document.getElementById('tmdb-providers').value = config.providers || '';
+    document.getElementById('tmdb-region').value = config.region || '';
+    document.getElementById('tmdb-sort').value = config.sortBy || 'popularity.desc';
+    toggleTmdbFeedFields();
+}
+
+/**
+ * Builds a default alias for a TMDB list, e.g. "TMDB Trending Movies" or "TMDB Horror Series".
+ * @param {Object} config - The list config.
+ * @param {string} contentType - 'movie' or 'series'.
+ * @returns {string} The alias.
+ */
+function formatTmdbAlias(config, contentType) {
+    const kind = contentType === 'series' ? 'Series' : 'Movies';
+    if (config.feed === 'list') return `TMDB List ${config.listId}`;
+    if (config.feed === 'discover') {
+        const parts = [config.genres, config.year, config.language && config.language.toUpperCase(), config.providers].filter(Boolean);
+        return `TMDB ${parts.length ? parts.join(' ') : 'Discover'} ${kind}`;
+    }
+    return `TMDB ${TMDB_FEED_LABELS[config.feed]} ${kind}`;
+}
+
 // --- Install Helpers ---
 
 /**
@@ -1288,7 +2683,7 @@ function getBaseURL() {
  * @returns The manifest URL.
  */
 function getManifestUrl() {
-    return getBaseURL() + '/manifest.json';
+    return getBaseURL() + getProfilePath() + '/manifest.json';
 }
 
 /**
@@ -1296,7 +2691,7 @@ function getManifestUrl() {
  */
 function installStremio() {
     window.open(
-        `stremio://${window.location.host}/manifest.json`
+        `stremio://${window.location.host}${getProfilePath()}/manifest.json`
     )
 }
 
@@ -1346,17 +2741,38 @@ function startTimer(targetTime) {
             return;
         }
 
-        const hours = Math.floor(diff / (1000 * 60 * 60));
-        const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
-        const seconds = Math.floor((diff % (1000 * 60)) / 1000);
-
-        if (display) display.innerText = `${hours}h ${minutes}m ${seconds}s`;
+        if (display) display.innerText = formatCountdown(targetTime);
     }
 
     update();
     timerInterval = setInterval(update, 1000);
 }
 
+/**
+ * Formats the time remaining until a target time.
+ * @param targetTime The target time in milliseconds since the epoch (or null).
+ * @returns The countdown text.
+ */
+function formatCountdown(targetTime) {
+    if (!targetTime) return 'off';
+    const diff = targetTime - Date.now();
+    if (diff <= 0) return 'now';
+
+    const hours = Math.floor(diff / (1000 * 60 * 60));
+    const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
+    const seconds = Math.floor((diff % (1000 * 60)) / 1000);
+    return `${hours}h ${minutes}m ${seconds}s`;
+}
+
+/**
+ * Updates the per-slot refresh countdowns.
+ */
+function updateSlotTimers() {
+    document.querySelectorAll('.slot-timer').forEach(el => {
+        el.innerText = formatCountdown(parseInt(el.dataset.target, 10) || null);
+    });
+}
+
 /**
  * Stops the timer.
  */
@@ -1369,9 +2785,14 @@ function stopTimer() {
 // --- Init ---
 
 /**
- * Loads the data.
+ * Loads the profiles and the selected profile's data.
+ */
+loadProfiles().then(loadData);
+
+/**
+ * Ticks the per-slot countdowns every second.
  */
-loadData();
+setInterval(updateSlotTimers, 1000);
 
 /**
  * Polls for updates every 5 seconds.